@@ -4,145 +4,1083 @@
  *
  * This class expose the endpoints that the client applications will use to interact with the
  * Blockchain dataset
+ * Every route declares the schema of its request (see `src/schemas.js`): requests are checked
+ * before reaching the Blockchain and `GET /openapi.json` describes the Api from the same schemas.
+ * Errors are answered with `{ error: { code, name, message } }`, the status and the
+ * machine-readable code depend on the error (see `ERRORS`).
  */
+const bodyParser = require("body-parser");
+const chainfile = require("./src/chainfile.js");
+const { paginate } = require("./src/helpers.js");
+const { FeedSubscription } = require("./src/feed.js");
+const schemas = require("./src/schemas.js");
+
+const { object, HASH, ADDRESS, MESSAGE, SIGNATURE, HEIGHT, PAGE, LIMIT } =
+  schemas;
+
+// max size of a chain file sent to `POST /admin/chain/import`
+const IMPORT_LIMIT = "100mb";
+// content types of a chain file, NDJSON or a JSON array (the formats of `GET /chain/export`)
+const IMPORT_TYPES = ["application/x-ndjson", "text/plain", "application/json"];
+
+// page size of the paginated endpoints when the `limit` query parameter is missing
+const DEFAULT_PAGE_SIZE = 20;
+
+class BlockNotFoundError extends Error {
+  constructor() {
+    super("Block Not Found!");
+    this.name = "BlockNotFoundError";
+  }
+}
+
+class RouteNotFoundError extends Error {
+  constructor(method, path) {
+    super(`No endpoint ${method} ${path}`);
+    this.name = "RouteNotFoundError";
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor() {
+    super("Admin operations are disabled on this node");
+    this.name = "ForbiddenError";
+  }
+}
+
+class UnauthorizedError extends Error {
+  constructor() {
+    super("Wrong admin token");
+    this.name = "UnauthorizedError";
+  }
+}
+
+class UnsupportedMediaTypeError extends Error {
+  constructor(types) {
+    super(`Content-Type must be one of ${types.join(", ")}`);
+    this.name = "UnsupportedMediaTypeError";
+  }
+}
+
+class ChainInvalidError extends Error {
+  constructor(errors) {
+    super(`Chain is not valid: ${errors.length} validation errors found`);
+    this.name = "ChainInvalidError";
+    this.details = errors.map((error) => error.buildObject());
+  }
+}
+
+// error name => [http status, machine-readable code], any other error is a 500 INTERNAL_ERROR
+const ERRORS = {
+  ValidationError: [400, "INVALID_REQUEST"],
+  AddressError: [400, "INVALID_ADDRESS"],
+  WrongNetworkError: [400, "WRONG_NETWORK"],
+  SearchStarsError: [400, "INVALID_SEARCH"],
+  GetStarByOwnerError: [400, "INVALID_QUERY"],
+  ChainFileError: [400, "INVALID_CHAIN_FILE"],
+  UnauthorizedError: [401, "UNAUTHORIZED"],
+  ForbiddenError: [403, "ADMIN_DISABLED"],
+  BlockNotFoundError: [404, "BLOCK_NOT_FOUND"],
+  StarNotFoundError: [404, "STAR_NOT_FOUND"],
+  TransactionNotFoundError: [404, "TRANSACTION_NOT_FOUND"],
+  RouteNotFoundError: [404, "ROUTE_NOT_FOUND"],
+  StarAlreadyRegisteredError: [409, "STAR_ALREADY_REGISTERED"],
+  ChallengeReplayError: [409, "CHALLENGE_REPLAYED"],
+  ParseCoordinatesError: [422, "INVALID_COORDINATES"],
+  StarNotInCatalogError: [422, "STAR_NOT_IN_CATALOG"],
+  ChallengeError: [422, "CHALLENGE_REJECTED"],
+  AddressMismatchError: [422, "CHALLENGE_ADDRESS_MISMATCH"],
+  UnknownChallengeError: [422, "CHALLENGE_UNKNOWN"],
+  ChallengeExpiredError: [422, "CHALLENGE_EXPIRED"],
+  SubmitStarError: [422, "SUBMIT_STAR_REJECTED"],
+  TransferStarError: [422, "TRANSFER_REJECTED"],
+  AmendStarError: [422, "AMENDMENT_REJECTED"],
+  TransactionProofError: [422, "PROOF_UNAVAILABLE"],
+  RollbackError: [422, "ROLLBACK_REJECTED"],
+  ReceiveBlockError: [422, "BLOCK_REJECTED"],
+  PeerRequestError: [502, "PEER_REQUEST_FAILED"],
+  ChainInvalidError: [500, "CHAIN_INVALID"],
+  UnsupportedMediaTypeError: [415, "UNSUPPORTED_MEDIA_TYPE"],
+};
+
+// errors of `body-parser` by type, they're raised before the request reaches a route
+const BODY_ERRORS = {
+  "entity.parse.failed": [400, "INVALID_JSON"],
+  "entity.too.large": [413, "PAYLOAD_TOO_LARGE"],
+};
+
+/**
+ * answer a request with an error
+ * @param {*} res express response
+ * @param {*} error
+ */
+const sendError = (res, error) => {
+  const [status, code] = ERRORS[error.name] ||
+    BODY_ERRORS[error.type] || [500, "INTERNAL_ERROR"];
+  const body = { code, name: error.name, message: error.message };
+  if (error.details) {
+    body.details = error.details;
+  }
+  if (error.block) {
+    // a star can be owned only once, the body names the block that registered it
+    body.block = error.block;
+  }
+  return res.status(status).json({ error: body });
+};
+
+// header view of a block, enough to follow the chain while syncing
+const blockHeader = ({ hash, height, time, previousBlockHash }) => ({
+  hash,
+  height,
+  time,
+  previousBlockHash,
+});
+
+// query string of the star searches, each search requires some of the filters
+const SEARCH_QUERY = {
+  ra: { type: "string", minLength: 1, maxLength: 64 },
+  dec: { type: "string", minLength: 1, maxLength: 64 },
+  radius: { type: "number", description: "degrees" },
+  q: { type: "string", minLength: 1, maxLength: 200 },
+  from: { type: "number", description: "seconds since epoch" },
+  to: { type: "number", description: "seconds since epoch" },
+  page: PAGE,
+  limit: LIMIT,
+};
+
 class BlockchainController {
-  //The constructor receive the instance of the express.js app and the Blockchain class
-  constructor(app, blockchainObj) {
+  //The constructor receive the instance of the express.js app, the Blockchain class and the Network class
+  //`options.adminToken` enables the admin endpoints, callers send it as `Authorization: Bearer <token>`
+  constructor(app, blockchainObj, networkObj, options = {}) {
     this.app = app;
     this.blockchain = blockchainObj;
+    this.network = networkObj;
+    this.adminToken = options.adminToken || null;
+    // `{ method, path, spec }` of every route, for the OpenAPI document
+    this.routes = [];
     // All the endpoints methods needs to be called in the constructor to initialize the route.
     this.getBlockByHeight();
     this.requestOwnership();
     this.submitStar();
     this.getBlockByHash();
+    this.getBlockRange();
     this.getStarsByOwner();
+    this.searchStars();
+    this.requestTransfer();
+    this.transferStar();
+    this.requestAmendment();
+    this.amendStar();
+    this.getStar();
+    this.getStarHistory();
+    this.getNodeKey();
+    this.getStarCertificate();
+    this.verifyCertificate();
+    this.getTransactionProof();
+    this.getMempool();
+    this.getFeed();
+    this.mineBlock();
     this.checkChainValidity();
+    this.getForensicReport();
+    this.truncateChain();
+    this.restoreChain();
+    this.getChain();
+    this.exportChain();
+    this.importChain();
+    this.receiveBlock();
+    this.getPeers();
+    this.addPeer();
+    this.syncChain();
+    this.getOpenApi();
+    this.handleErrors();
+  }
+
+  /**
+   * register a route: the request is checked against `spec` (and the admin token for admin
+   * routes) before `handler` runs, any error thrown is answered with `sendError`
+   * @param {*} method http method, lowercase
+   * @param {*} path express path
+   * @param {*} spec `{ summary, tags, params, query, body, contentTypes, admin, responses, errors }`,
+   * `params`, `query` and `body` are schemas, `contentTypes` the types of the body (default JSON, others
+   * are answered with 415), `errors` the statuses the route can answer besides 400 and 500
+   * @param {*} handlers express middlewares (ex. a body parser) followed by the async handler
+   */
+  route(method, path, spec, ...handlers) {
+    this.routes.push({ method, path, spec });
+    const handler = handlers.pop();
+    this.app[method](path, ...handlers, async (req, res) => {
+      try {
+        if (spec.admin) {
+          this.checkAdmin(req);
+        }
+        if (spec.contentTypes && !req.is(spec.contentTypes)) {
+          throw new UnsupportedMediaTypeError(spec.contentTypes);
+        }
+        schemas.validateRequest(spec, req);
+        await handler(req, res);
+      } catch (error) {
+        sendError(res, error);
+      }
+    });
   }
 
   // Enpoint to Get a Block by Height (GET Endpoint)
   getBlockByHeight() {
-    this.app.get("/block/height/:height", async (req, res) => {
-      if (req.params.height) {
-        const height = parseInt(req.params.height);
-        let block = await this.blockchain.getBlockByHeight(height);
-        if (block) {
-          return res.status(200).json(block);
-        } else {
-          return res.status(404).send("Block Not Found!");
+    this.route(
+      "get",
+      "/block/height/:height",
+      {
+        summary: "Block at a height",
+        tags: ["blocks"],
+        params: object({ height: HEIGHT }, ["height"]),
+        responses: { 200: "The block" },
+        errors: [404],
+      },
+      async (req, res) => {
+        let block = await this.blockchain.getBlockByHeight(req.params.height);
+        if (!block) {
+          throw new BlockNotFoundError();
         }
-      } else {
-        return res.status(404).send("Block Not Found! Review the Parameters!");
+        return res.status(200).json(block);
       }
-    });
+    );
   }
 
   // Endpoint that allows user to request Ownership of a Wallet address (POST Endpoint)
   requestOwnership() {
-    this.app.post("/requestValidation", async (req, res) => {
-      if (req.body.address) {
-        const address = req.body.address;
+    this.route(
+      "post",
+      "/requestValidation",
+      {
+        summary: "Message to sign to register a star",
+        tags: ["stars"],
+        body: object({ address: ADDRESS }, ["address"]),
+        responses: { 200: "The message to sign" },
+      },
+      async (req, res) => {
         const message =
-          await this.blockchain.requestMessageOwnershipVerification(address);
-        if (message) {
-          return res.status(200).json(message);
-        } else {
-          return res.status(500).send("An error happened!");
-        }
-      } else {
-        return res.status(500).send("Check the Body Parameter!");
+          await this.blockchain.requestMessageOwnershipVerification(
+            req.body.address
+          );
+        return res.status(200).json(message);
       }
-    });
+    );
   }
 
   // Endpoint that allow Submit a Star, yu need first to `requestOwnership` to have the message (POST endpoint)
   submitStar() {
-    this.app.post("/submitstar", async (req, res) => {
-      if (
-        req.body.address &&
-        req.body.message &&
-        req.body.signature &&
-        req.body.star
-      ) {
-        const address = req.body.address;
-        const message = req.body.message;
-        const signature = req.body.signature;
-        const star = req.body.star;
-        try {
-          let block = await this.blockchain.submitStar(
-            address,
-            message,
-            signature,
-            star
-          );
-          if (block) {
-            return res.status(200).json(block);
-          } else {
-            return res.status(500).send("An error happened!");
-          }
-        } catch (error) {
-          return res
-            .status(500)
-            .json({ error: { name: error.name, message: error.message } });
-        }
-      } else {
-        return res.status(500).send("Check the Body Parameter!");
+    this.route(
+      "post",
+      "/submitstar",
+      {
+        summary: "Register a star",
+        tags: ["stars"],
+        body: object(
+          {
+            address: ADDRESS,
+            message: MESSAGE,
+            signature: SIGNATURE,
+            star: schemas.STAR,
+          },
+          ["address", "message", "signature", "star"]
+        ),
+        responses: { 200: "The block that registers the star" },
+        errors: [409, 422],
+      },
+      async (req, res) => {
+        const { address, message, signature, star } = req.body;
+        let block = await this.blockchain.submitStar(
+          address,
+          message,
+          signature,
+          star
+        );
+        return res.status(200).json(block);
       }
-    });
+    );
   }
 
   // This endpoint allows you to retrieve the block by hash (GET endpoint)
   getBlockByHash() {
-    this.app.get("/block/hash/:hash", async (req, res) => {
-      if (req.params.hash) {
-        const hash = req.params.hash;
-        let block = await this.blockchain.getBlockByHash(hash);
-        if (block) {
-          return res.status(200).json(block);
-        } else {
-          return res.status(404).send("Block Not Found!");
+    this.route(
+      "get",
+      "/block/hash/:hash",
+      {
+        summary: "Block with a hash",
+        tags: ["blocks"],
+        params: object({ hash: HASH }, ["hash"]),
+        responses: { 200: "The block" },
+        errors: [404],
+      },
+      async (req, res) => {
+        let block = await this.blockchain.getBlockByHash(req.params.hash);
+        if (!block) {
+          throw new BlockNotFoundError();
         }
-      } else {
-        return res.status(404).send("Block Not Found! Review the Parameters!");
+        return res.status(200).json(block);
       }
-    });
+    );
   }
 
   // This endpoint allows you to request the list of Stars registered by an owner
+  // `sort` is `registered` (default), `ra` or `dec`, with a leading `-` for descending order.
+  // With `page` and/or `limit` only a page of stars is returned, the `X-Total-Count` header has the count.
   getStarsByOwner() {
-    this.app.get("/blocks/:address", async (req, res) => {
-      if (req.params.address) {
-        const address = req.params.address;
-        try {
-          let stars = await this.blockchain.getStarsByWalletAddress(address);
-          if (stars) {
-            return res.status(200).json(stars);
-          } else {
-            return res.status(404).send("Block Not Found!");
-          }
-        } catch (error) {
-          return res.status(500).send("An error happened!");
+    this.route(
+      "get",
+      "/blocks/:address",
+      {
+        summary: "Stars owned by an address",
+        tags: ["stars"],
+        params: object({ address: ADDRESS }, ["address"]),
+        query: object(
+          {
+            sort: {
+              type: "string",
+              enum: ["registered", "-registered", "ra", "-ra", "dec", "-dec"],
+            },
+            page: PAGE,
+            limit: LIMIT,
+          },
+          [],
+          true
+        ),
+        responses: { 200: "The stars" },
+      },
+      async (req, res) => {
+        const { sort, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+        let stars = await this.blockchain.getStarsByWalletAddress(
+          req.params.address,
+          sort
+        );
+        res.set("X-Total-Count", String(stars.length));
+        if (req.query.page !== undefined || req.query.limit !== undefined) {
+          stars = paginate(stars, page, limit).items;
         }
-      } else {
-        return res.status(500).send("Block Not Found! Review the Parameters!");
+        return res.status(200).json(stars);
       }
+    );
+  }
+
+  // Endpoints that return the blocks from height `from` (default 0) to `to` (default the tip),
+  // `limit` blocks at a time (default 20): `/chain/blocks` returns whole blocks, `/chain/headers`
+  // only `{ hash, height, time, previousBlockHash }`. The response has the `nextCursor` to pass
+  // as `cursor` to read the next page, null on the last page.
+  getBlockRange() {
+    ["/chain/blocks", "/chain/headers"].forEach((path) => {
+      const spec = {
+        summary:
+          path === "/chain/headers"
+            ? "Headers of a range of blocks"
+            : "Range of blocks",
+        tags: ["blocks"],
+        query: object(
+          { from: HEIGHT, to: HEIGHT, cursor: HEIGHT, limit: LIMIT },
+          [],
+          true
+        ),
+        responses: { 200: "A page of the range and the next cursor" },
+      };
+      this.route("get", path, spec, async (req, res) => {
+        const { from = 0, to = this.blockchain.height } = req.query;
+        const { cursor = from, limit = DEFAULT_PAGE_SIZE } = req.query;
+        if (from > to || cursor < from || cursor > to) {
+          throw new schemas.ValidationError([
+            {
+              location: "query",
+              message: "from, cursor and to must be in increasing order",
+            },
+          ]);
+        }
+        const { blocks, next } = await this.blockchain.getBlocksByRange(
+          cursor,
+          to,
+          limit
+        );
+        return res
+          .status(200)
+          .json(
+            path === "/chain/headers"
+              ? { headers: blocks.map(blockHeader), nextCursor: next }
+              : { blocks, nextCursor: next }
+          );
+      });
     });
   }
 
+  // Endpoints that search the registered stars, paginated with `page` and `limit`:
+  // - `/stars/cone?ra=&dec=&radius=` stars within `radius` degrees, nearest first
+  // - `/stars/search?q=` stars whose story contains every keyword
+  // - `/stars/registered?from=&to=` stars registered in a time range (seconds since epoch)
+  // The filters of the three endpoints can be combined on any of them.
+  searchStars() {
+    const searches = {
+      "/stars/cone": ["Stars near a position", ["ra", "dec", "radius"]],
+      "/stars/search": ["Stars whose story contains keywords", ["q"]],
+      "/stars/registered": ["Stars registered in a time range", []],
+    };
+    Object.keys(searches).forEach((path) => {
+      const [summary, required] = searches[path];
+      const spec = {
+        summary,
+        tags: ["stars"],
+        query: object(SEARCH_QUERY, required, true),
+        responses: { 200: "A page of the stars found" },
+        errors: [422],
+      };
+      this.route("get", path, spec, async (req, res) => {
+        const { ra, dec, radius, q, from, to } = req.query;
+        const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+        if (
+          path === "/stars/registered" &&
+          from === undefined &&
+          to === undefined
+        ) {
+          throw new schemas.ValidationError([
+            { location: "query", message: "needs from or to" },
+          ]);
+        }
+        const stars = await this.blockchain.searchStars({
+          ra,
+          dec,
+          radius,
+          q,
+          from,
+          to,
+        });
+        const { items, ...pagination } = paginate(stars, page, limit);
+        return res.status(200).json({ ...pagination, stars: items });
+      });
+    });
+  }
+
+  // Endpoint that returns the message the owner of a star has to sign to transfer it (POST endpoint)
+  requestTransfer() {
+    this.route(
+      "post",
+      "/requestTransfer",
+      {
+        summary: "Message to sign to transfer a star",
+        tags: ["transfers"],
+        body: object({ address: ADDRESS, to: ADDRESS, starHash: HASH }, [
+          "address",
+          "to",
+          "starHash",
+        ]),
+        responses: { 200: "The message to sign" },
+      },
+      async (req, res) => {
+        const message = await this.blockchain.requestTransferMessage(
+          req.body.address,
+          req.body.to,
+          req.body.starHash
+        );
+        return res.status(200).json(message);
+      }
+    );
+  }
+
+  // Endpoint that allows the owner of a star to hand it to another wallet, you need first to `requestTransfer` (POST endpoint)
+  transferStar() {
+    this.route(
+      "post",
+      "/transferstar",
+      {
+        summary: "Transfer a star to another address",
+        tags: ["transfers"],
+        body: object(
+          {
+            address: ADDRESS,
+            message: MESSAGE,
+            signature: SIGNATURE,
+            to: ADDRESS,
+            starHash: HASH,
+          },
+          ["address", "message", "signature", "to", "starHash"]
+        ),
+        responses: { 200: "The block that records the transfer" },
+        errors: [404, 409, 422],
+      },
+      async (req, res) => {
+        const { address, message, signature, to, starHash } = req.body;
+        const block = await this.blockchain.transferStar(
+          address,
+          message,
+          signature,
+          to,
+          starHash
+        );
+        return res.status(200).json(block);
+      }
+    );
+  }
+
+  // Endpoint that returns the message the owner of a star has to sign to replace its story (POST endpoint)
+  requestAmendment() {
+    this.route(
+      "post",
+      "/requestAmendment",
+      {
+        summary: "Message to sign to amend the story of a star",
+        tags: ["amendments"],
+        body: object(
+          { address: ADDRESS, starHash: HASH, story: schemas.STORY },
+          ["address", "starHash", "story"]
+        ),
+        responses: { 200: "The message to sign" },
+        errors: [404],
+      },
+      async (req, res) => {
+        const message = await this.blockchain.requestAmendmentMessage(
+          req.body.address,
+          req.body.starHash,
+          req.body.story
+        );
+        return res.status(200).json(message);
+      }
+    );
+  }
+
+  // Endpoint that allows the owner of a star to amend its story, you need first to `requestAmendment` (POST endpoint)
+  amendStar() {
+    this.route(
+      "post",
+      "/amendstar",
+      {
+        summary: "Amend the story of a star",
+        tags: ["amendments"],
+        body: object(
+          {
+            address: ADDRESS,
+            message: MESSAGE,
+            signature: SIGNATURE,
+            starHash: HASH,
+            story: schemas.STORY,
+          },
+          ["address", "message", "signature", "starHash", "story"]
+        ),
+        responses: { 200: "The block that records the amendment" },
+        errors: [404, 409, 422],
+      },
+      async (req, res) => {
+        const { address, message, signature, starHash, story } = req.body;
+        const block = await this.blockchain.amendStar(
+          address,
+          message,
+          signature,
+          starHash,
+          story
+        );
+        return res.status(200).json(block);
+      }
+    );
+  }
+
+  // This endpoint returns the latest version of a star with every revision of its story
+  getStar() {
+    this.route(
+      "get",
+      "/star/:hash",
+      {
+        summary: "Latest version of a star and its revisions",
+        tags: ["stars"],
+        params: object({ hash: HASH }, ["hash"]),
+        responses: { 200: "The star" },
+        errors: [404],
+      },
+      async (req, res) => {
+        const star = await this.blockchain.getStar(req.params.hash);
+        return res.status(200).json(star);
+      }
+    );
+  }
+
+  // This endpoint returns the owner of a star and its full ownership history
+  getStarHistory() {
+    this.route(
+      "get",
+      "/star/:hash/history",
+      {
+        summary: "Ownership history of a star",
+        tags: ["transfers"],
+        params: object({ hash: HASH }, ["hash"]),
+        responses: { 200: "The registration and the transfers of the star" },
+        errors: [404],
+      },
+      async (req, res) => {
+        const history = await this.blockchain.getStarHistory(req.params.hash);
+        return res.status(200).json(history);
+      }
+    );
+  }
+
+  // This endpoint returns the public key (and its address) that signs the certificates of this node
+  getNodeKey() {
+    this.route(
+      "get",
+      "/node/key",
+      {
+        summary: "Public key that signs the certificates",
+        tags: ["certificates"],
+        responses: { 200: "The public key and its address" },
+      },
+      async (req, res) => {
+        const { publicKey, address } = this.blockchain.nodeKey;
+        return res.status(200).json({ publicKey, address });
+      }
+    );
+  }
+
+  // This endpoint downloads the proof-of-existence certificate of a star, signed by this node
+  getStarCertificate() {
+    this.route(
+      "get",
+      "/star/:hash/certificate",
+      {
+        summary: "Proof-of-existence certificate of a star",
+        tags: ["certificates"],
+        params: object({ hash: HASH }, ["hash"]),
+        responses: { 200: "The certificate" },
+        errors: [404],
+      },
+      async (req, res) => {
+        const certificate = await this.blockchain.getStarCertificate(
+          req.params.hash
+        );
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="star-${certificate.starHash}.json"`
+        );
+        return res.status(200).json(certificate);
+      }
+    );
+  }
+
+  // This endpoint checks a certificate (the body) against the key and the chain of this node (POST endpoint)
+  verifyCertificate() {
+    this.route(
+      "post",
+      "/certificate/verify",
+      {
+        summary: "Check a certificate",
+        tags: ["certificates"],
+        body: object(
+          {
+            version: { type: "integer" },
+            starHash: HASH,
+            star: { type: "object" },
+            owner: ADDRESS,
+            blockHash: HASH,
+            height: HEIGHT,
+            time: { type: "string" },
+            issuer: { type: "string" },
+            signature: SIGNATURE,
+          },
+          [
+            "version",
+            "starHash",
+            "star",
+            "owner",
+            "blockHash",
+            "height",
+            "time",
+            "issuer",
+            "signature",
+          ]
+        ),
+        responses: { 200: "`{ valid, errors }`" },
+      },
+      async (req, res) => {
+        const result = await this.blockchain.verifyStarCertificate(req.body);
+        return res.status(200).json(result);
+      }
+    );
+  }
+
+  // This endpoint returns the block header and the Merkle path that prove a transaction is in the chain
+  getTransactionProof() {
+    this.route(
+      "get",
+      "/transaction/:txid/proof",
+      {
+        summary: "Inclusion proof of a transaction",
+        tags: ["blocks"],
+        params: object({ txid: HASH }, ["txid"]),
+        responses: { 200: "The proof" },
+        errors: [404, 422],
+      },
+      async (req, res) => {
+        const proof = await this.blockchain.getTransactionProof(
+          req.params.txid
+        );
+        return res.status(200).json(proof);
+      }
+    );
+  }
+
+  // This endpoint returns the transactions waiting in the mempool to be committed
+  getMempool() {
+    this.route(
+      "get",
+      "/mempool",
+      {
+        summary: "Transactions waiting to be committed",
+        tags: ["blocks"],
+        responses: { 200: "The pending transactions" },
+      },
+      async (req, res) => {
+        return res.status(200).json(this.blockchain.mempool.getTransactions());
+      }
+    );
+  }
+
+  // Endpoint that streams the new blocks and the validation failures as Server-Sent Events.
+  // `owner` only streams the blocks with transactions of that address, `from` (or the
+  // `Last-Event-ID` header sent by reconnecting clients) first sends the blocks from that height.
+  getFeed() {
+    this.route(
+      "get",
+      "/feed",
+      {
+        summary: "Live feed of the blocks (Server-Sent Events)",
+        tags: ["blocks"],
+        query: object({ owner: ADDRESS, from: HEIGHT }, [], true),
+        responses: { 200: "`block`, `invalid` and `replaced` events" },
+      },
+      async (req, res) => {
+        const lastEventId = req.get("Last-Event-ID");
+        let from = req.query.from === undefined ? null : req.query.from;
+        if (from === null && lastEventId !== undefined) {
+          from = Number(lastEventId) + 1;
+          if (!Number.isInteger(from) || from < 1) {
+            throw new schemas.ValidationError([
+              { location: "Last-Event-ID", message: "must be a height" },
+            ]);
+          }
+        }
+        res.set({
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        });
+        res.flushHeaders();
+        // the subscription ends by itself when the response is closed
+        new FeedSubscription(this.blockchain, res, {
+          owner: req.query.owner,
+          from,
+        });
+      }
+    );
+  }
+
+  // Endpoint that commits the pending transactions in a new block right now (POST endpoint)
+  mineBlock() {
+    this.route(
+      "post",
+      "/mine",
+      {
+        summary: "Commit the pending transactions in a block",
+        tags: ["blocks"],
+        responses: { 200: "Mempool is empty", 201: "The block mined" },
+      },
+      async (req, res) => {
+        const block = await this.blockchain.mineBlock();
+        if (block) {
+          return res.status(201).json(block);
+        }
+        return res.status(200).send("Mempool is empty");
+      }
+    );
+  }
+
   checkChainValidity() {
-    this.app.get("/chain/validate", async (req, res) => {
-      try {
+    this.route(
+      "get",
+      "/chain/validate",
+      {
+        summary: "Validate the chain",
+        tags: ["chain"],
+        responses: {
+          200: "Chain is valid",
+          500: "Chain is not valid, `details` lists the validation errors",
+        },
+      },
+      async (req, res) => {
         const errors = await this.blockchain.validateChain();
         if (errors.length) {
-          return res.status(500).json({ errors });
+          throw new ChainInvalidError(errors);
         }
         return res.status(200).send("Chain is valid");
-      } catch (error) {
-        return res.status(500).json(error);
       }
-    });
+    );
+  }
+
+  // This endpoint explains why the chain is not valid: first divergent block, mismatched fields, dependent blocks
+  getForensicReport() {
+    this.route(
+      "get",
+      "/chain/forensics",
+      {
+        summary: "Report of the first divergent block",
+        tags: ["chain"],
+        responses: { 200: "The report" },
+      },
+      async (req, res) => {
+        const report = await this.blockchain.getForensicReport();
+        return res.status(200).json(report);
+      }
+    );
+  }
+
+  // Admin endpoint that rolls the chain back to `height` (default the last valid block), archiving the blocks above it
+  truncateChain() {
+    this.route(
+      "post",
+      "/admin/chain/truncate",
+      {
+        summary: "Roll the chain back to a height",
+        tags: ["admin"],
+        admin: true,
+        body: object({ height: HEIGHT }),
+        responses: { 200: "The new height and the archive" },
+        errors: [422],
+      },
+      async (req, res) => {
+        const result = await this.blockchain.truncateChain(req.body.height);
+        return res.status(200).json(result);
+      }
+    );
+  }
+
+  // Admin endpoint that replaces the chain with a trusted snapshot (`chain`) or with the chain of a trusted `peer`
+  restoreChain() {
+    this.route(
+      "post",
+      "/admin/chain/restore",
+      {
+        summary: "Replace the chain with a trusted snapshot or peer",
+        tags: ["admin"],
+        admin: true,
+        body: object({
+          chain: { type: "array", items: { type: "object" }, minItems: 1 },
+          peer: { type: "string", pattern: "^https?://" },
+        }),
+        responses: { 200: "The new height and the archive" },
+        errors: [422, 502],
+      },
+      async (req, res) => {
+        if (!req.body.chain === !req.body.peer) {
+          throw new schemas.ValidationError([
+            { location: "body", message: "needs either chain or peer" },
+          ]);
+        }
+        const result = req.body.chain
+          ? await this.blockchain.restoreChain(req.body.chain)
+          : await this.network.restoreFromPeer(req.body.peer);
+        return res.status(200).json(result);
+      }
+    );
+  }
+
+  // Checks the admin token of a request, throws ForbiddenError (403) if admin endpoints are disabled
+  // and UnauthorizedError (401) if the token is wrong
+  checkAdmin(req) {
+    if (!this.adminToken) {
+      throw new ForbiddenError();
+    }
+    if (req.get("Authorization") !== `Bearer ${this.adminToken}`) {
+      throw new UnauthorizedError();
+    }
+  }
+
+  // This endpoint returns the full chain, peers use it to apply the most work consensus
+  getChain() {
+    this.route(
+      "get",
+      "/chain",
+      {
+        summary: "Full chain",
+        tags: ["chain"],
+        responses: { 200: "Every block of the chain" },
+      },
+      async (req, res) => {
+        return res.status(200).json(this.blockchain.chain);
+      }
+    );
+  }
+
+  // This endpoint downloads the chain as a JSON array (default) or as NDJSON (`?format=ndjson`), streamed a block at a time
+  exportChain() {
+    this.route(
+      "get",
+      "/chain/export",
+      {
+        summary: "Download the chain as a file",
+        tags: ["chain"],
+        query: object(
+          { format: { type: "string", enum: ["json", "ndjson"] } },
+          [],
+          true
+        ),
+        responses: { 200: "The chain file" },
+      },
+      async (req, res) => {
+        const chain = this.blockchain.chain.slice();
+        if (req.query.format === "ndjson") {
+          res.set("Content-Type", "application/x-ndjson");
+          res.set("Content-Disposition", 'attachment; filename="chain.ndjson"');
+          await chainfile.writeNdjson(chain, res);
+          return res.end();
+        }
+        res.set("Content-Type", "application/json");
+        res.set("Content-Disposition", 'attachment; filename="chain.json"');
+        return res.status(200).send(chainfile.toJson(chain));
+      }
+    );
+  }
+
+  // Admin endpoint that replaces the chain with an exported file (JSON or NDJSON body), once its blocks are validated
+  importChain() {
+    this.route(
+      "post",
+      "/admin/chain/import",
+      {
+        summary: "Replace the chain with an exported file",
+        tags: ["admin"],
+        admin: true,
+        contentTypes: IMPORT_TYPES,
+        body: { type: "string", minLength: 1 },
+        responses: { 200: "The new height and the archive" },
+        errors: [413, 415, 422],
+      },
+      // a JSON array is read as text too: the JSON parser of the app stops at 100kb (see `app.js`)
+      bodyParser.text({ type: IMPORT_TYPES, limit: IMPORT_LIMIT }),
+      async (req, res) => {
+        const chain = chainfile.parseChain(req.body);
+        const result = await this.blockchain.restoreChain(chain);
+        return res.status(200).json(result);
+      }
+    );
+  }
+
+  // Endpoint used by peers to broadcast a block they appended to their chain (POST endpoint)
+  receiveBlock() {
+    this.route(
+      "post",
+      "/chain/blocks",
+      {
+        summary: "Receive a block from a peer",
+        tags: ["peers"],
+        body: object(
+          {
+            block: { type: "object" },
+            peer: { type: "string", nullable: true },
+          },
+          ["block"]
+        ),
+        responses: { 200: "`{ outcome }` of the block" },
+        errors: [422],
+      },
+      async (req, res) => {
+        const outcome = await this.network.receiveBlock(
+          req.body.block,
+          req.body.peer
+        );
+        return res.status(200).json({ outcome });
+      }
+    );
+  }
+
+  // This endpoint returns the list of registered peers
+  getPeers() {
+    this.route(
+      "get",
+      "/peers",
+      {
+        summary: "Registered peers",
+        tags: ["peers"],
+        responses: { 200: "The urls of the peers" },
+      },
+      async (req, res) => {
+        return res.status(200).json(this.network.getPeers());
+      }
+    );
+  }
+
+  // Admin endpoint to register a peer node by its url: the node will fetch chains from it (POST endpoint)
+  addPeer() {
+    this.route(
+      "post",
+      "/peers",
+      {
+        summary: "Register a peer",
+        tags: ["peers"],
+        admin: true,
+        body: object({ url: { type: "string", pattern: "^https?://" } }, [
+          "url",
+        ]),
+        responses: { 200: "Peer already known", 201: "Peer added" },
+        errors: [502],
+      },
+      async (req, res) => {
+        const added = await this.network.addPeer(req.body.url);
+        return res.status(added ? 201 : 200).json(this.network.getPeers());
+      }
+    );
+  }
+
+  // Admin endpoint that asks every peer its chain and adopts the valid one with the most work (POST endpoint)
+  syncChain() {
+    this.route(
+      "post",
+      "/chain/sync",
+      {
+        summary: "Adopt the valid chain of the peers with the most work",
+        tags: ["peers"],
+        admin: true,
+        responses: { 200: "`{ replaced, height }`" },
+      },
+      async (req, res) => {
+        const replaced = await this.network.resolveConflicts();
+        return res
+          .status(200)
+          .json({ replaced, height: await this.blockchain.getChainHeight() });
+      }
+    );
+  }
+
+  // This endpoint returns the OpenAPI document of the Api, built from the schemas of the routes
+  getOpenApi() {
+    this.route(
+      "get",
+      "/openapi.json",
+      {
+        summary: "OpenAPI document of the Api",
+        tags: ["docs"],
+        responses: { 200: "The OpenAPI document" },
+      },
+      async (req, res) => {
+        return res.status(200).json(
+          schemas.openApiDocument(this.routes, {
+            title: "Star registry",
+            version: "1.0.0",
+            description:
+              "Private blockchain that registers the ownership of stars",
+          })
+        );
+      }
+    );
+  }
+
+  // Answers the unknown routes and the errors raised before a route (ex. a body that is not valid JSON)
+  // with the same JSON error shape. Registered last, after every route.
+  handleErrors() {
+    this.app.use((req, res) =>
+      sendError(res, new RouteNotFoundError(req.method, req.path))
+    );
+    // express recognizes error handlers by their four arguments
+    this.app.use((error, req, res, next) => sendError(res, error));
   }
 }
 
-module.exports = (app, blockchainObj) => {
-  return new BlockchainController(app, blockchainObj);
+module.exports = (app, blockchainObj, networkObj, options) => {
+  return new BlockchainController(app, blockchainObj, networkObj, options);
 };
@@ -13,14 +13,24 @@ const bodyParser = require("body-parser");
  * Require the Blockchain class. This allow us to have only one instance of the class.
  */
 const BlockChain = require('./src/blockchain.js');
+const Storage = require('./src/storage.js');
+const Network = require('./src/network.js');
+const Certificates = require('./src/certificates.js');
+const Catalog = require('./src/catalog.js');
 
 class ApplicationServer {
 
 	constructor() {
 		//Express application object
 		this.app = express();
-		//Blockchain class object
-		this.blockchain = new BlockChain.Blockchain();
+		//Blockchain class object, persisted with the storage chosen by `STARCHAIN_STORAGE` (file|memory)
+		//stars must survive a restart, so the node keeps its chain in a file unless told otherwise
+		this.blockchain = new BlockChain.Blockchain(
+			Storage.createStorage(process.env.STARCHAIN_STORAGE || "file", { filePath: process.env.STARCHAIN_DATA_FILE }),
+			this.chainOptions()
+		);
+		//Network class object, connects this node to its peers
+		this.network = new Network.Network(this.blockchain, process.env.STARCHAIN_NODE_URL);
 		//Method that initialized the express framework.
 		this.initExpress();
 		//Method that initialized middleware modules
@@ -31,27 +41,91 @@ class ApplicationServer {
 		this.start();
 	}
 
+	// Chain settings read from environment, unset variables keep the Blockchain defaults
+	chainOptions() {
+		const options = {};
+		const variables = {
+			difficulty: "STARCHAIN_DIFFICULTY",
+			adjustmentInterval: "STARCHAIN_DIFFICULTY_INTERVAL",
+			targetBlockTime: "STARCHAIN_BLOCK_TIME",
+			starTolerance: "STARCHAIN_STAR_TOLERANCE",
+			batchSize: "STARCHAIN_BATCH_SIZE",
+			batchInterval: "STARCHAIN_BATCH_INTERVAL",
+			validationInterval: "STARCHAIN_VALIDATION_INTERVAL",
+			catalogTolerance: "STARCHAIN_CATALOG_TOLERANCE",
+		};
+		Object.keys(variables).forEach((key) => {
+			if (process.env[variables[key]] !== undefined) {
+				options[key] = parseFloat(process.env[variables[key]]);
+			}
+		});
+		// mainnet, testnet or regtest
+		if (process.env.STARCHAIN_NETWORK) {
+			options.network = process.env.STARCHAIN_NETWORK;
+		}
+		// key that signs the certificates of the stars, created on the first start
+		options.nodeKey = Certificates.NodeKey.loadOrCreate(process.env.STARCHAIN_NODE_KEY || "data/node-key.json");
+		// submitted stars are matched against the catalog, an empty `STARCHAIN_CATALOG` disables it
+		const catalogFile = process.env.STARCHAIN_CATALOG === undefined ? "catalog/bright-stars.csv" : process.env.STARCHAIN_CATALOG;
+		if (catalogFile) {
+			options.catalog = Catalog.StarCatalog.load(catalogFile);
+		}
+		if (process.env.STARCHAIN_CATALOG_MODE) {
+			options.catalogMode = process.env.STARCHAIN_CATALOG_MODE;
+		}
+		return options;
+	}
+
 	initExpress() {
-		this.app.set("port", 8000);
+		this.app.set("port", parseInt(process.env.STARCHAIN_PORT) || 8000);
 	}
 
 	initExpressMiddleWare() {
 		this.app.use(morgan("dev"));
 		this.app.use(bodyParser.urlencoded({extended:true}));
-		this.app.use(bodyParser.json());
+		// chain files sent to `POST /admin/chain/import` are read by the route, with a limit fit for a whole chain
+		const json = bodyParser.json();
+		this.app.use((req, res, next) => (/^\/admin\/chain\/import\/?$/.test(req.path) ? next() : json(req, res, next)));
 	}
 
 	initControllers() {
-        require("./BlockchainController.js")(this.app, this.blockchain);
+        require("./BlockchainController.js")(this.app, this.blockchain, this.network, {
+			adminToken: process.env.STARCHAIN_ADMIN_TOKEN,
+		});
 	}
 
 	start() {
 		let self = this;
-		this.app.listen(this.app.get("port"), () => {
-			console.log(`Server Listening for port: ${self.app.get("port")}`);
+		// we refuse to start if the stored chain cannot be loaded or has been tampered
+		this.blockchain.ready.then(() => {
+			self.app.listen(self.app.get("port"), () => {
+				console.log(`Server Listening for port: ${self.app.get("port")}`);
+				// scheduled validations report tampering without stopping the node
+				self.blockchain.on("invalid", (errors) => {
+					console.error(`Chain is invalid: ${errors.length} validation errors found`);
+					errors.forEach((e) => console.error(JSON.stringify(e)));
+				});
+				self.connectPeers();
+			});
+		}).catch((error) => {
+			console.error(`${error.name}: ${error.message}`);
+			(error.errors || []).forEach((e) => console.error(JSON.stringify(e)));
+			if (error.errors) {
+				// the admin endpoints are not served, the chain file is repaired offline
+				console.error("Roll the chain file back to its last valid block with `npm run verify -- <chain file> --rollback`");
+			}
+			process.exit(1);
 		});
 	}
 
+	// Register the peers listed in `STARCHAIN_PEERS` (comma separated urls) and sync with them
+	connectPeers() {
+		const peers = (process.env.STARCHAIN_PEERS || "").split(",").filter((url) => url.trim());
+		Promise.all(peers.map((url) => this.network.addPeer(url.trim())))
+			.then(() => this.network.resolveConflicts())
+			.catch((error) => console.error(`${error.name}: ${error.message}`));
+	}
+
 }
 
 new ApplicationServer();
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ *                          Lookup benchmark
+ *  Loads chains of growing length and measures the average time of the
+ *  lookups served by the indexes: stars by owner, block by hash and block
+ *  by height. With the indexes the time should stay flat while the chain grows.
+ *  Usage: `npm run benchmark` (or `node scripts/benchmark-lookups.js 1000 10000`)
+ */
+
+const { Blockchain } = require("../src/blockchain");
+const { Block } = require("../src/block");
+const { MemoryStorage } = require("../src/storage");
+
+const TRANSACTIONS_PER_BLOCK = 10;
+// every owner has the same number of stars, so the size of the result doesn't grow with the chain
+const STARS_PER_OWNER = 10;
+const LOOKUPS = 2000;
+
+/**
+ * build a valid chain with `stars` registrations, STARS_PER_OWNER for each address,
+ * and put it in a memory storage so that Blockchain loads and indexes it on startup
+ * @param {*} stars number of registered stars
+ * @returns Promise with the MemoryStorage with the chain
+ */
+const buildStorage = async (stars) => {
+  const storage = new MemoryStorage();
+  const chain = [new Block({ data: "Genesis Block" })];
+  for (let i = 0; i < stars; i += TRANSACTIONS_PER_BLOCK) {
+    const transactions = [];
+    for (let j = i; j < Math.min(i + TRANSACTIONS_PER_BLOCK, stars); j++) {
+      transactions.push({
+        owner: `owner-${Math.floor(j / STARS_PER_OWNER)}`,
+        // every star at its own declination: a chain can't register the same star twice
+        star: {
+          dec: `${j % 90}° ${Math.floor(j / 90) % 60}' ${
+            (2 * Math.floor(j / 5400)) % 60
+          }"`,
+          ra: `${j % 24}h`,
+          story: `star ${j}`,
+        },
+      });
+    }
+    chain.push(Block.fromTransactions(transactions));
+  }
+  for (let height = 0; height < chain.length; height++) {
+    await chain[height]
+      .setPreviousHash(height ? chain[height - 1].hash : null)
+      .setTimeStamp()
+      .setHeight(height)
+      .mine(0);
+  }
+  storage.blocks = chain.map((block) => JSON.stringify(block));
+  return storage;
+};
+
+/**
+ * average time of a lookup, in microseconds
+ * @param {*} lookup function returning a Promise, called with the iteration number
+ */
+const measure = async (lookup) => {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < LOOKUPS; i++) {
+    await lookup(i);
+  }
+  return Number(process.hrtime.bigint() - start) / 1000 / LOOKUPS;
+};
+
+const run = async (sizes) => {
+  console.log("stars\tblocks\tbyOwner(us)\tbyHash(us)\tbyHeight(us)");
+  for (const stars of sizes) {
+    const blockchain = new Blockchain(await buildStorage(stars), {
+      difficulty: 0,
+    });
+    await blockchain.ready;
+    const hashes = blockchain.chain.map((block) => block.hash);
+    const owners = Math.ceil(stars / STARS_PER_OWNER);
+    const byOwner = await measure((i) =>
+      blockchain.getStarsByWalletAddress(`owner-${(i * 7919) % owners}`)
+    );
+    const byHash = await measure((i) =>
+      blockchain.getBlockByHash(hashes[i % hashes.length])
+    );
+    const byHeight = await measure((i) =>
+      blockchain.getBlockByHeight(i % hashes.length)
+    );
+    console.log(
+      [stars, hashes.length, byOwner, byHash, byHeight]
+        .map((v) => (Number.isInteger(v) ? v : v.toFixed(2)))
+        .join("\t")
+    );
+  }
+};
+
+const sizes = process.argv.slice(2).map((size) => parseInt(size));
+run(sizes.length ? sizes : [1000, 10000, 50000]).catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,329 @@
+/**
+ *                          Network check
+ *  Starts four nodes (`node app.js`) on consecutive ports with in-memory
+ *  chains and checks that they talk to each other like separate machines:
+ *  - A and B are peers: a star submitted to A reaches B by broadcast
+ *  - C starts from the chain of A and mines alone more blocks than A: once
+ *    registered on A the most work consensus replaces the chain of A, and the
+ *    next block of A brings B on the same tip
+ *  - D has its own genesis block: A never adopts its chain
+ *  - peers are registered and synced only with the admin token
+ *  - a conflicting block naming an unregistered url as sender never makes a
+ *    node request that url
+ *  The nodes are stopped at the end. Exits with 1 if any check fails.
+ *  Usage: `npm run network` (or `node scripts/network-nodes.js 8700` for the first port)
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const bitcoin = require("bitcoinjs-lib");
+const bitcoinMessage = require("bitcoinjs-message");
+
+// admin token of the nodes, the admin endpoints give them a common genesis block
+const ADMIN_TOKEN = crypto.randomBytes(16).toString("hex");
+const ADMIN = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+const START_TIMEOUT = 10000;
+const SYNC_TIMEOUT = 10000;
+const POLL_INTERVAL = 100;
+
+/**
+ * send a JSON request and resolve with the status and the parsed body
+ * @param {*} method http method
+ * @param {*} url full url of the resource
+ * @param {*} body optional object sent as JSON
+ * @param {*} headers optional extra headers (ex. `ADMIN`)
+ * @returns Promise with `{ status, body }`
+ */
+const request = (method, url, body, headers = {}) => {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request(
+      url,
+      {
+        method,
+        headers: payload
+          ? {
+              ...headers,
+              "Content-Type": "application/json",
+              "Content-Length": Buffer.byteLength(payload),
+            }
+          : headers,
+      },
+      (response) => {
+        let data = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => (data += chunk));
+        response.on("end", () => {
+          try {
+            resolve({ status: response.statusCode, body: JSON.parse(data) });
+          } catch (e) {
+            resolve({ status: response.statusCode, body: data });
+          }
+        });
+      }
+    );
+    req.on("error", reject);
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * call `check` until it resolves with a truthy value or the time is over
+ * @param {*} check async function, errors count as not ready
+ * @param {*} timeout milliseconds
+ * @returns Promise with true if `check` succeeded in time
+ */
+const waitFor = async (check, timeout) => {
+  const end = Date.now() + timeout;
+  while (Date.now() < end) {
+    if (await check().catch(() => false)) {
+      return true;
+    }
+    await sleep(POLL_INTERVAL);
+  }
+  return false;
+};
+
+/**
+ * start a node in a child process, its errors are kept to be printed if a check fails
+ * @param {*} port port of the node
+ * @param {*} dir temporary directory for the node key
+ * @param {*} settings environment variables that change the defaults (ex. `STARCHAIN_PEERS`)
+ * @returns `{ url, child, log }`
+ */
+const startNode = (port, dir, settings = {}) => {
+  const url = `http://localhost:${port}`;
+  const child = spawn(process.execPath, ["app.js"], {
+    cwd: path.join(__dirname, ".."),
+    env: {
+      ...process.env,
+      STARCHAIN_PORT: String(port),
+      STARCHAIN_NODE_URL: url,
+      STARCHAIN_PEERS: "",
+      STARCHAIN_STORAGE: "memory",
+      STARCHAIN_CATALOG: "",
+      STARCHAIN_NODE_KEY: path.join(dir, `node-key-${port}.json`),
+      STARCHAIN_DIFFICULTY: "1",
+      STARCHAIN_ADMIN_TOKEN: ADMIN_TOKEN,
+      ...settings,
+    },
+    stdio: ["ignore", "ignore", "pipe"],
+  });
+  const log = [];
+  child.stderr.setEncoding("utf8");
+  child.stderr.on("data", (chunk) => log.push(chunk));
+  return { url, child, log };
+};
+
+/**
+ * request a challenge for the wallet, sign it and submit a star
+ * @param {*} base url of the node
+ * @param {*} wallet `{ keyPair, address }`
+ * @param {*} i number of the submission, makes the star unique
+ */
+const submitStar = async (base, wallet, i) => {
+  const challenge = await request("POST", `${base}/requestValidation`, {
+    address: wallet.address,
+  });
+  const message = challenge.body;
+  const signature = bitcoinMessage
+    .sign(message, wallet.keyPair.privateKey, wallet.keyPair.compressed)
+    .toString("base64");
+  return request("POST", `${base}/submitstar`, {
+    address: wallet.address,
+    message,
+    signature,
+    star: {
+      dec: `${i}° 0' 0"`,
+      ra: "12h 0m 0s",
+      story: `network star ${i}`,
+    },
+  });
+};
+
+/**
+ * hash of the last block of a node
+ * @param {*} base url of the node
+ * @returns Promise with the hash
+ */
+const tipOf = async (base) => {
+  const { body } = await request("GET", `${base}/chain`);
+  return body[body.length - 1].hash;
+};
+
+const run = async (port) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "starchain-network-"));
+  const keyPair = bitcoin.ECPair.makeRandom();
+  const { address } = bitcoin.payments.p2pkh({ pubkey: keyPair.publicKey });
+  const wallet = { keyPair, address };
+  const errors = [];
+  const check = (ok, message) => {
+    if (!ok) {
+      errors.push(message);
+    }
+    return ok;
+  };
+
+  const a = startNode(port, dir, {
+    STARCHAIN_PEERS: `http://localhost:${port + 1}`,
+  });
+  const b = startNode(port + 1, dir, { STARCHAIN_PEERS: a.url });
+  const c = startNode(port + 2, dir);
+  const d = startNode(port + 3, dir, { STARCHAIN_DIFFICULTY: "2" });
+  const nodes = [a, b, c, d];
+  let trap = null;
+  try {
+    const started = await waitFor(async () => {
+      const peers = await Promise.all(
+        [a, b].map(
+          async (node) => (await request("GET", `${node.url}/peers`)).body
+        )
+      );
+      await Promise.all(
+        [c, d].map((node) => request("GET", `${node.url}/chain`))
+      );
+      return peers[0].includes(b.url) && peers[1].includes(a.url);
+    }, START_TIMEOUT);
+    if (!check(started, "Nodes didn't start or A and B are not peers")) {
+      return;
+    }
+    // B was not up when A started: both start from the genesis block of A
+    await request(
+      "POST",
+      `${b.url}/admin/chain/restore`,
+      { peer: a.url },
+      ADMIN
+    );
+
+    // broadcast: a block mined by A is appended by B
+    const submitted = await submitStar(a.url, wallet, 1);
+    check(submitted.status === 200, `Submission to A failed`);
+    check(
+      await waitFor(
+        async () => (await tipOf(b.url)) === (await tipOf(a.url)),
+        SYNC_TIMEOUT
+      ),
+      "The block mined by A didn't reach B"
+    );
+
+    // most work: C starts from the chain of A without being its peer, both mine on
+    // their own and A adopts the chain of C, that holds more blocks of the same difficulty
+    await request(
+      "POST",
+      `${c.url}/admin/chain/restore`,
+      { peer: a.url },
+      ADMIN
+    );
+    await submitStar(a.url, wallet, 2);
+    for (let i = 3; i <= 5; i++) {
+      await submitStar(c.url, wallet, i);
+    }
+    await request("POST", `${a.url}/peers`, { url: c.url }, ADMIN);
+    const sync = await request("POST", `${a.url}/chain/sync`, undefined, ADMIN);
+    check(
+      sync.body.replaced === true && sync.body.height === 4,
+      `A didn't adopt the chain of C: ${JSON.stringify(sync.body)}`
+    );
+    // the next block of A reaches B, which is on the old branch and fetches the chain of A
+    await submitStar(a.url, wallet, 6);
+    check(
+      await waitFor(async () => {
+        const tips = await Promise.all(
+          [a, b, c].map((node) => tipOf(node.url))
+        );
+        return tips.every((tip) => tip === tips[0]);
+      }, SYNC_TIMEOUT),
+      "The nodes didn't converge on the chain of C"
+    );
+
+    // registering a peer and syncing with it are admin operations
+    const anonymous = await Promise.all([
+      request("POST", `${a.url}/peers`, { url: "http://127.0.0.1:1" }),
+      request("POST", `${a.url}/chain/sync`),
+    ]);
+    check(
+      anonymous.every((response) => response.status === 401),
+      `Peers have been changed without the admin token: ${anonymous
+        .map((response) => response.status)
+        .join(", ")}`
+    );
+
+    // D has its own genesis block: its chain holds more work but is never adopted
+    await request("POST", `${a.url}/peers`, { url: d.url }, ADMIN);
+    const foreign = await request(
+      "POST",
+      `${a.url}/chain/sync`,
+      undefined,
+      ADMIN
+    );
+    check(
+      foreign.body.replaced === false,
+      `A adopted a chain with another genesis block: ${JSON.stringify(
+        foreign.body
+      )}`
+    );
+
+    // a conflicting block can't make B request an url that is not one of its peers
+    let hits = 0;
+    trap = http.createServer((req, res) => {
+      hits++;
+      res.end("[]");
+    });
+    trap.listen(0);
+    await new Promise((resolve) => trap.once("listening", resolve));
+    const { body: chain } = await request("GET", `${b.url}/chain`);
+    const block = { ...chain[chain.length - 1], height: chain.length + 10 };
+    const received = await request("POST", `${b.url}/chain/blocks`, {
+      block,
+      peer: `http://localhost:${trap.address().port}`,
+    });
+    check(
+      received.body.outcome === "conflict",
+      `Conflicting block answered ${JSON.stringify(received.body)}`
+    );
+    check(hits === 0, `B sent ${hits} requests to an unregistered url`);
+
+    const heights = await Promise.all(
+      nodes.map(
+        async (node) =>
+          (await request("GET", `${node.url}/chain`)).body.length - 1
+      )
+    );
+    console.log(
+      `${nodes.length} nodes on ports ${port}-${
+        port + nodes.length - 1
+      }, heights ${heights}`
+    );
+  } finally {
+    if (trap) {
+      trap.close();
+    }
+    nodes.forEach((node) => node.child.kill());
+    fs.rmSync(dir, { recursive: true });
+    if (errors.length) {
+      errors.forEach((error) => console.error(error));
+      nodes.forEach((node) =>
+        console.error(`--- node ${node.url}\n${node.log.join("")}`)
+      );
+      process.exit(1);
+    }
+  }
+  console.log(
+    "Blocks are broadcast and the chain with the most work is adopted"
+  );
+};
+
+run(parseInt(process.argv[2]) || 8700).catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,189 @@
+/**
+ *                          Submission stress test
+ *  Starts a node on a random port and fires hundreds of `POST /submitstar`
+ *  requests at the same time, each one mining its own block. The chain is
+ *  persisted in a temporary file, so every append awaits the disk. Appends go
+ *  through the write queue of the Blockchain, so the chain must come out
+ *  correctly linked with strictly increasing heights, without two blocks
+ *  built on the same tip. Exits with 1 if any check fails.
+ *  Usage: `npm run stress` (or `node scripts/stress-submissions.js 500`)
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const express = require("express");
+const bodyParser = require("body-parser");
+const bitcoin = require("bitcoinjs-lib");
+const bitcoinMessage = require("bitcoinjs-message");
+const { Blockchain } = require("../src/blockchain");
+const { Network } = require("../src/network");
+const { FileStorage } = require("../src/storage");
+
+const WALLETS = 10;
+
+/**
+ * send a JSON request and resolve with the status and the parsed body
+ * @param {*} method http method
+ * @param {*} url full url of the resource
+ * @param {*} body optional object sent as JSON
+ * @returns Promise with `{ status, body }`
+ */
+const request = (method, url, body) => {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request(
+      url,
+      {
+        method,
+        headers: payload
+          ? {
+              "Content-Type": "application/json",
+              "Content-Length": Buffer.byteLength(payload),
+            }
+          : {},
+      },
+      (response) => {
+        let data = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => (data += chunk));
+        response.on("end", () => {
+          try {
+            resolve({ status: response.statusCode, body: JSON.parse(data) });
+          } catch (e) {
+            resolve({ status: response.statusCode, body: data });
+          }
+        });
+      }
+    );
+    req.on("error", reject);
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+};
+
+/**
+ * request a challenge for the wallet, sign it and submit a star
+ * @param {*} base url of the node
+ * @param {*} wallet `{ keyPair, address }`
+ * @param {*} i number of the submission, makes the star unique
+ */
+const submitStar = async (base, wallet, i) => {
+  const challenge = await request("POST", `${base}/requestValidation`, {
+    address: wallet.address,
+  });
+  const message = challenge.body;
+  const signature = bitcoinMessage
+    .sign(message, wallet.keyPair.privateKey, wallet.keyPair.compressed)
+    .toString("base64");
+  return request("POST", `${base}/submitstar`, {
+    address: wallet.address,
+    message,
+    signature,
+    star: {
+      dec: `${i % 60}° ${Math.floor(i / 60)}' 0"`,
+      ra: "10h 0m 0s",
+      story: `stress star ${i}`,
+    },
+  });
+};
+
+/**
+ * check that every block links to the previous one with the next height
+ * @param {*} chain array of blocks
+ * @returns list of error messages
+ */
+const checkLinks = (chain) => {
+  const errors = [];
+  chain.forEach((block, i) => {
+    if (block.height !== i) {
+      errors.push(
+        `Block ${block.hash} is at position ${i} with height ${block.height}`
+      );
+    }
+    if (i > 0 && block.previousBlockHash !== chain[i - 1].hash) {
+      errors.push(
+        `Block ${block.hash} at height ${i} doesn't link to the previous block`
+      );
+    }
+  });
+  return errors;
+};
+
+const run = async (submissions) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "starchain-stress-"));
+  const storage = new FileStorage(path.join(dir, "chain.ndjson"));
+  const blockchain = new Blockchain(storage, { difficulty: 1 });
+  await blockchain.ready;
+  const app = express();
+  app.use(bodyParser.json());
+  require("../BlockchainController.js")(
+    app,
+    blockchain,
+    new Network(blockchain)
+  );
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://localhost:${server.address().port}`;
+
+  const wallets = [];
+  for (let i = 0; i < WALLETS; i++) {
+    const keyPair = bitcoin.ECPair.makeRandom();
+    const { address } = bitcoin.payments.p2pkh({ pubkey: keyPair.publicKey });
+    wallets.push({ keyPair, address });
+  }
+
+  const start = Date.now();
+  const responses = await Promise.all(
+    Array.from({ length: submissions }, (_, i) =>
+      submitStar(base, wallets[i % WALLETS], i)
+    )
+  );
+  const elapsed = Date.now() - start;
+  server.close();
+
+  const errors = [];
+  responses
+    .filter((response) => response.status !== 200)
+    .forEach((response) =>
+      errors.push(
+        `Submission failed ${response.status}: ${JSON.stringify(response.body)}`
+      )
+    );
+  const heights = new Set(responses.map((response) => response.body.height));
+  if (heights.size !== submissions) {
+    errors.push(
+      `${submissions} submissions answered with ${heights.size} different heights`
+    );
+  }
+  if (blockchain.chain.length !== submissions + 1) {
+    errors.push(
+      `Chain has ${blockchain.chain.length} blocks, ${submissions + 1} expected`
+    );
+  }
+  errors.push(...checkLinks(blockchain.chain));
+  const stored = await storage.load();
+  errors.push(...checkLinks(stored).map((error) => `Storage: ${error}`));
+  fs.rmSync(dir, { recursive: true });
+  const validation = await blockchain.validateChain();
+  validation.forEach((error) =>
+    errors.push(`${error.message} ${JSON.stringify(error.data)}`)
+  );
+
+  console.log(
+    `${submissions} parallel submissions in ${elapsed}ms, chain height ${blockchain.height}`
+  );
+  if (errors.length) {
+    errors.forEach((error) => console.error(error));
+    process.exit(1);
+  }
+  console.log("Chain is correctly linked");
+};
+
+run(parseInt(process.argv[2]) || 300).catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
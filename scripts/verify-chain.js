@@ -0,0 +1,140 @@
+/**
+ *                          Offline chain verifier
+ *  Audits an exported chain (JSON or NDJSON, see `GET /chain/export`, or the
+ *  file of a node using file storage) without running the server. Blocks are
+ *  checked by `validateChain()`, so the rules are the same the node applies.
+ *  Prints the validation errors and the number of stars owned by each address,
+ *  exits with 1 if the chain is not valid.
+ *  The mining settings are part of the chain rules: they're read from the same
+ *  environment variables of the node, or from the options. The difficulty is a
+ *  minimum, like on the node: a block mined with less is an error, whatever the
+ *  file records. `--genesis` also requires the hash of the genesis block, so a
+ *  chain rebuilt from scratch is told apart from the one of the network.
+ *  A node refuses to start on a tampered chain, so its admin endpoints can't repair it:
+ *  `--rollback [HEIGHT]` rolls the chain file of a stopped node back to that height (default
+ *  the last valid block, like `POST /admin/chain/truncate`), archiving the blocks above it
+ *  next to the file, then audits what is left.
+ *  Usage: `npm run verify -- <file> [--difficulty N] [--difficulty-interval N] [--block-time N] [--genesis HASH] [--rollback [HEIGHT]] [--json]`
+ */
+
+const { Blockchain } = require("../src/blockchain");
+const { MemoryStorage, FileStorage } = require("../src/storage");
+const { readChainFile, auditChain } = require("../src/chainfile");
+
+// option => [environment variable, Blockchain option]
+const SETTINGS = {
+  "--difficulty": ["STARCHAIN_DIFFICULTY", "difficulty"],
+  "--difficulty-interval": [
+    "STARCHAIN_DIFFICULTY_INTERVAL",
+    "adjustmentInterval",
+  ],
+  "--block-time": ["STARCHAIN_BLOCK_TIME", "targetBlockTime"],
+};
+
+const USAGE =
+  "Usage: verify-chain.js <file> [--difficulty N] [--difficulty-interval N] [--block-time N] [--genesis HASH] [--rollback [HEIGHT]] [--json]";
+
+/**
+ * read the file path, the output format, the expected genesis hash, the rollback and the
+ * mining settings from the command line
+ * @param {*} argv arguments after the script name
+ * @returns `{ filePath, json, genesisHash, rollback, options }` where `rollback` is null
+ * or `{ height }` (height undefined for the last valid block)
+ */
+const parseArguments = (argv) => {
+  const options = {};
+  Object.values(SETTINGS).forEach(([variable, option]) => {
+    if (process.env[variable] !== undefined) {
+      options[option] = parseFloat(process.env[variable]);
+    }
+  });
+  let filePath = null;
+  let json = false;
+  let genesisHash = null;
+  let rollback = null;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--json") {
+      json = true;
+    } else if (argv[i] === "--genesis") {
+      genesisHash = argv[++i];
+    } else if (argv[i] === "--rollback") {
+      rollback = {
+        height: /^\d+$/.test(argv[i + 1]) ? parseInt(argv[++i]) : undefined,
+      };
+    } else if (SETTINGS[argv[i]]) {
+      options[SETTINGS[argv[i]][1]] = parseFloat(argv[++i]);
+    } else {
+      filePath = argv[i];
+    }
+  }
+  return { filePath, json, genesisHash, rollback, options };
+};
+
+/**
+ * print the audit in a human readable form
+ * @param {*} report result of `auditChain`
+ */
+const printReport = (report) => {
+  console.log(`Blocks: ${report.height + 1}`);
+  if (report.valid) {
+    console.log("Chain is valid");
+  } else {
+    console.log(`Chain is not valid: ${report.errors.length} errors`);
+    report.errors.forEach((error) =>
+      console.log(
+        `  height ${error.data.height} ${error.code} ${error.message} (${error.data.hash})`
+      )
+    );
+  }
+  const owners = Object.keys(report.starsByOwner);
+  console.log(`Stars by owner (${owners.length} owners):`);
+  owners.forEach((owner) =>
+    console.log(`  ${owner} ${report.starsByOwner[owner]}`)
+  );
+};
+
+const run = async () => {
+  const { filePath, json, genesisHash, rollback, options } = parseArguments(
+    process.argv.slice(2)
+  );
+  if (!filePath) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  let chain = await readChainFile(filePath);
+  if (!chain.length) {
+    throw new Error(`${filePath} holds no block`);
+  }
+  // the node is loaded with the chain itself, so it doesn't mine a genesis block of its own:
+  // a copy in memory to audit the file, the file itself to roll it back
+  let storage = new FileStorage(filePath);
+  if (!rollback) {
+    storage = new MemoryStorage();
+    await storage.replace(chain);
+  }
+  const blockchain = new Blockchain(storage, options);
+  // a tampered chain makes the loading fail: its errors are in the report
+  await blockchain.ready.catch(() => {});
+  if (rollback) {
+    const { height, archived, archive } = await blockchain.truncateChain(
+      rollback.height
+    );
+    console.error(
+      `Rolled back to height ${height}` +
+        (archive ? `, ${archived} blocks archived in ${archive}` : "")
+    );
+    chain = blockchain.chain;
+  }
+  const report = await auditChain(blockchain, chain, { genesisHash });
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  process.exit(report.valid ? 0 : 1);
+};
+
+run().catch((e) => {
+  console.error(`${e.name}: ${e.message}`);
+  process.exit(2);
+});
@@ -0,0 +1,117 @@
+/**
+ *                          Wallet CLI
+ *  Registers stars without an external wallet: the key pair is kept in a
+ *  wallet file and every message is signed locally (see `src/wallet.js`).
+ *  Usage: `npm run wallet -- <command> [options]`
+ *  - `new [--type <TYPE>] [--network <NETWORK>] [--force]` create a wallet with a random key pair
+ *  - `import <WIF> [--type <TYPE>] [--network <NETWORK>] [--force]` create a wallet from a private
+ *    key in Wallet Import Format
+ *  `--type` is the address type: `p2pkh` (legacy, default), `p2sh` (P2SH-wrapped SegWit) or
+ *  `p2wpkh` (bech32), `--network` is `mainnet` (default), `testnet` or `regtest`
+ *  - `address` print the address of the wallet
+ *  - `submit --dec <DEC> --ra <RA> [--story <STORY>]` register a star
+ *  - `stars` list the stars owned by the wallet
+ *  Options:
+ *  - `--wallet <file>` wallet file (default `STARCHAIN_WALLET` or `data/wallet.json`)
+ *  - `--node <url>` url of the node (default `STARCHAIN_WALLET_NODE` or `http://localhost:8000`)
+ */
+
+const { Wallet, WalletClient } = require("../src/wallet");
+
+const USAGE = `Usage: wallet.js <command> [options]
+  new [--type <TYPE>] [--network <NETWORK>] [--force]
+                                                  create a wallet with a random key pair
+  import <WIF> [--type <TYPE>] [--network <NETWORK>] [--force]
+                                                  create a wallet from a private key
+  address                                         print the address of the wallet
+  submit --dec <DEC> --ra <RA> [--story <STORY>]  register a star
+  stars                                           list the stars owned by the wallet
+Options: --wallet <file> --node <url>`;
+
+/**
+ * split the command line in the command, its positional arguments and the `--name value` options
+ * @param {*} argv arguments after the script name
+ * @returns `{ command, args, options }`
+ */
+const parseArguments = (argv) => {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--force") {
+      options.force = true;
+    } else if (argv[i].startsWith("--")) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { command: args.shift(), args, options };
+};
+
+const run = async () => {
+  const { command, args, options } = parseArguments(process.argv.slice(2));
+  const walletFile =
+    options.wallet || process.env.STARCHAIN_WALLET || "data/wallet.json";
+  const nodeUrl =
+    options.node ||
+    process.env.STARCHAIN_WALLET_NODE ||
+    "http://localhost:8000";
+
+  switch (command) {
+    case "new":
+    case "import": {
+      if (command === "import" && !args[0]) {
+        throw new Error("the private key to import is missing");
+      }
+      const wallet =
+        command === "new"
+          ? Wallet.generate(options.type, options.network)
+          : Wallet.fromWIF(args[0], options.type, options.network);
+      await wallet.save(walletFile, options.force);
+      console.log(`Wallet saved in ${walletFile}`);
+      console.log(wallet.address);
+      return;
+    }
+    case "address": {
+      const wallet = await Wallet.load(walletFile);
+      console.log(wallet.address);
+      return;
+    }
+    case "submit": {
+      if (!options.dec || !options.ra) {
+        throw new Error("--dec and --ra are required");
+      }
+      const client = new WalletClient(await Wallet.load(walletFile), nodeUrl);
+      const block = await client.submitStar({
+        dec: options.dec,
+        ra: options.ra,
+        story: options.story || "",
+      });
+      console.log(
+        `Star registered in block ${block.hash} (height ${block.height})`
+      );
+      return;
+    }
+    case "stars": {
+      const client = new WalletClient(await Wallet.load(walletFile), nodeUrl);
+      const stars = await client.getStars();
+      if (!stars.length) {
+        console.log(`${client.wallet.address} has no stars`);
+      }
+      stars.forEach(({ starHash, star }) =>
+        console.log(
+          `${starHash} dec ${star.dec} ra ${star.ra} ${star.story || ""}`
+        )
+      );
+      return;
+    }
+    default:
+      console.error(USAGE);
+      process.exit(2);
+  }
+};
+
+run().catch((e) => {
+  console.error(`${e.name}: ${e.message}`);
+  process.exit(1);
+});
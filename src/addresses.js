@@ -0,0 +1,140 @@
+/**
+ *                          Wallet addresses
+ *  Stars are owned by Bitcoin addresses and ownership is proved by signing
+ *  a message. Wallets use different kinds of addresses:
+ *  - `p2pkh` legacy addresses (`1…`, `m…`/`n…` on testnet)
+ *  - `p2sh` P2SH-wrapped SegWit addresses (`3…`, `2…` on testnet)
+ *  - `p2wpkh` native SegWit bech32 addresses (`bc1q…`, `tb1q…`, `bcrt1q…`)
+ *  Legacy addresses sign with the original Bitcoin Core format, SegWit ones
+ *  either with BIP137 header flags (Trezor, Sparrow) or with the legacy
+ *  header like Electrum does: both are accepted.
+ *  A node runs on a single network (mainnet, testnet or regtest) and refuses
+ *  addresses of the other networks.
+ */
+
+const bitcoin = require("bitcoinjs-lib");
+const bitcoinMessage = require("bitcoinjs-message");
+
+const NETWORKS = {
+  mainnet: bitcoin.networks.bitcoin,
+  testnet: bitcoin.networks.testnet,
+  regtest: bitcoin.networks.regtest,
+};
+
+class AddressError extends Error {
+  constructor(msg) {
+    super("Address is not valid: " + msg);
+    this.name = "AddressError";
+  }
+}
+
+class WrongNetworkError extends AddressError {
+  constructor(address, networks, expected) {
+    const found = networks.join("/");
+    super(`${address} is a ${found} address but this node runs on ${expected}`);
+    this.name = "WrongNetworkError";
+  }
+}
+
+/**
+ * bitcoinjs-lib parameters of a network
+ * @param {*} name "mainnet", "testnet" or "regtest"
+ * @returns network object
+ */
+const getNetwork = (name) => {
+  if (!NETWORKS[name]) {
+    throw new Error(
+      `Unknown network "${name}", use ${Object.keys(NETWORKS).join(", ")}`
+    );
+  }
+  return NETWORKS[name];
+};
+
+/**
+ * find the type of an address and the networks it belongs to. Base58 addresses
+ * of testnet and regtest share the same prefixes, bech32 ones don't.
+ * @param {*} address
+ * @returns `{ type, networks }`
+ */
+const detectAddress = (address) => {
+  if (typeof address !== "string" || address === "") {
+    throw new AddressError("address is missing");
+  }
+  try {
+    const { version } = bitcoin.address.fromBase58Check(address);
+    const byPrefix = (field) =>
+      Object.keys(NETWORKS).filter((name) => NETWORKS[name][field] === version);
+    if (byPrefix("pubKeyHash").length) {
+      return { type: "p2pkh", networks: byPrefix("pubKeyHash") };
+    }
+    if (byPrefix("scriptHash").length) {
+      return { type: "p2sh", networks: byPrefix("scriptHash") };
+    }
+    throw new AddressError(`${address} has an unknown prefix`);
+  } catch (e) {
+    if (e instanceof AddressError) {
+      throw e;
+    }
+  }
+  let decoded;
+  try {
+    decoded = bitcoin.address.fromBech32(address);
+  } catch (e) {
+    throw new AddressError(`${address} is neither base58 nor bech32`);
+  }
+  const networks = Object.keys(NETWORKS).filter(
+    (name) => NETWORKS[name].bech32 === decoded.prefix
+  );
+  if (!networks.length) {
+    throw new AddressError(`${address} has an unknown prefix`);
+  }
+  if (decoded.version !== 0 || decoded.data.length !== 20) {
+    // P2WSH and later witness versions are scripts, not a single key that can sign
+    throw new AddressError(`${address} is not a single key SegWit address`);
+  }
+  return { type: "p2wpkh", networks };
+};
+
+/**
+ * check that an address is well formed and belongs to the network of the node
+ * @param {*} address
+ * @param {*} network name of the network of the node
+ * @returns `{ type, networks }` of the address
+ */
+const checkAddress = (address, network) => {
+  const detected = detectAddress(address);
+  if (!detected.networks.includes(network)) {
+    throw new WrongNetworkError(address, detected.networks, network);
+  }
+  return detected;
+};
+
+/**
+ * verify the signature of a message with the rules of the address type
+ * @param {*} message
+ * @param {*} address checked with `checkAddress`
+ * @param {*} signature base64 signature
+ * @returns true if the signature has been made by the key of the address
+ */
+const verifySignature = (message, address, signature) => {
+  const { type } = detectAddress(address);
+  try {
+    return type === "p2pkh"
+      ? bitcoinMessage.verify(message, address, signature)
+      : // BIP137 flags are read from the signature, `checkSegwitAlways` also accepts Electrum signatures
+        bitcoinMessage.verify(message, address, signature, null, true);
+  } catch (e) {
+    // a malformed signature can't be valid
+    return false;
+  }
+};
+
+module.exports = {
+  NETWORKS,
+  AddressError,
+  WrongNetworkError,
+  getNetwork,
+  detectAddress,
+  checkAddress,
+  verifySignature,
+};
@@ -5,6 +5,15 @@
  *  The class will expose a method to validate the data... The body of
  *  the block will contain an Object that contain the data to be stored,
  *  the data should be stored encoded.
+ *  The encoding is versioned with the `encoding` field of the block, so
+ *  that the format can change without breaking the blocks already stored.
+ *  The same goes for the hash: the `version` field of the block says which
+ *  fields are hashed and how they are serialized.
+ *  Since version 2 the body holds a list of transactions (`{ transactions: [] }`)
+ *  and the block commits to them with the `merkleRoot` field.
+ *  Since version 3 the body is not hashed anymore: the hash covers only the
+ *  header, and the header commits to the body through the Merkle root. This
+ *  way a light client can check a transaction with the header and a Merkle path.
  *  All the exposed methods should return a Promise to allow all the methods
  *  run asynchronous.
  */
@@ -12,6 +21,7 @@
 const SHA256 = require("crypto-js/sha256");
 const hex2ascii = require("hex2ascii");
 const helpers = require("./helpers");
+const merkle = require("./merkle");
 
 class ValidateBlockError extends Error {
   constructor(msg) {
@@ -27,14 +37,108 @@ class GetBlockDataError extends Error {
   }
 }
 
+// Versions of the body encoding. Blocks created before the encoding was versioned
+// have no `encoding` field: their body is decoded as ASCII with hex2ascii.
+const LEGACY_ENCODING = 0;
+// Hex of the UTF-8 bytes of the JSON, decoded back as UTF-8 so any text round-trips
+const UTF8_HEX_ENCODING = 1;
+
+// Versions of the hash format. Blocks created before the format was versioned have
+// no `version` field: their hash is the SHA256 of `JSON.stringify(block)` with a null hash.
+const LEGACY_VERSION = 0;
+// Fields hashed by each version, serialized as a JSON array in this exact order.
+// Anything else attached to a block never changes its hash.
+const HASHED_FIELDS = {
+  1: [
+    "version",
+    "height",
+    "body",
+    "encoding",
+    "time",
+    "previousBlockHash",
+    "nonce",
+    "difficulty",
+  ],
+  2: [
+    "version",
+    "height",
+    "body",
+    "encoding",
+    "time",
+    "previousBlockHash",
+    "nonce",
+    "difficulty",
+    "merkleRoot",
+  ],
+  3: [
+    "version",
+    "height",
+    "encoding",
+    "time",
+    "previousBlockHash",
+    "nonce",
+    "difficulty",
+    "merkleRoot",
+  ],
+};
+// Version used for the new blocks
+const CURRENT_VERSION = 3;
+
+// nonces tried by `mine()` before it lets the event loop run
+const MINING_CHUNK = 1000;
+
+/**
+ * leaves of the Merkle tree of a body: the hashes of its transactions. Since
+ * version 3 a body with a single `data` (ex. genesis block) is a tree with one leaf,
+ * so that every body is committed by the Merkle root.
+ * @param {*} data decoded body
+ * @param {*} version version of the block
+ * @returns array of transaction hashes
+ */
+const bodyLeaves = (data, version) => {
+  if (data && Array.isArray(data.transactions)) {
+    return data.transactions.map(merkle.hashTransaction);
+  }
+  return version >= 3 ? [merkle.hashTransaction(data && data.data)] : [];
+};
+
 class Block {
   // Constructor - argument data will be the object containing the transaction data
   constructor(data) {
+    this.version = CURRENT_VERSION; // Version of the hash format of the block
     this.hash = null; // Hash of the block
     this.height = 0; // Block Height (consecutive number of each block)
-    this.body = Buffer.from(JSON.stringify(data)).toString("hex"); // Will contain the transactions stored in the block, by default it will encode the data
+    this.body = Buffer.from(JSON.stringify(data), "utf8").toString("hex"); // Will contain the transactions stored in the block, by default it will encode the data
+    this.encoding = UTF8_HEX_ENCODING; // Version of the encoding used for the body
     this.time = 0; // Timestamp for the Block creation
     this.previousBlockHash = null; // Reference to the previous Block Hash
+    this.nonce = 0; // Number changed while mining until the hash meets the difficulty
+    this.difficulty = 0; // Number of leading zeros (hex digits) required in the hash
+    this.merkleRoot = merkle.merkleRoot(bodyLeaves(data, this.version)); // Root of the Merkle tree of the transactions in the body
+  }
+
+  /**
+   * create a block that carries several transactions, with the Merkle root
+   * calculated over their hashes
+   * @param {*} transactions array of transaction objects
+   * @returns new Block instance
+   */
+  static fromTransactions(transactions) {
+    return new Block({ transactions });
+  }
+
+  /**
+   * calculate the hash of a block header, the way `validate()` does. Used
+   * to check Merkle proofs without the body, so only version 3 (and later)
+   * headers are supported
+   * @param {*} header plain object with the header fields
+   * @returns string with the hash
+   */
+  static hashHeader(header) {
+    if (!(header.version >= 3)) {
+      throw new Error(`Block version ${header.version} hashes the body too`);
+    }
+    return Block.fromObject({ ...header, hash: null })._hashBlock();
   }
 
   /**
@@ -47,6 +151,10 @@ class Block {
    *  3. Recalculate the hash of the entire block (Use SHA256 from crypto-js library)
    *  4. Compare if the auxiliary hash value is different from the calculated one.
    *  5. Resolve true or false depending if it is valid or not.
+   *  The hash is recalculated with the rules of the block own `version`, so old blocks stay valid.
+   *  A block whose hash doesn't meet its own difficulty is not valid too: it hasn't been mined.
+   *  Since version 2 the Merkle root must also match the transactions in the body
+   *  (since version 3 without repeated transactions, see `_hasValidMerkleRoot`).
    *  Note: to access the class values inside a Promise code you need to create an auxiliary value `let self = this;`
    */
   validate() {
@@ -61,7 +169,11 @@ class Block {
         const newHash = self._hashBlock();
         // set hash back to previous value;
         self.hash = currentHash;
-        resolve(currentHash === newHash);
+        resolve(
+          currentHash === newHash &&
+            self._meetsDifficulty(newHash) &&
+            self._hasValidMerkleRoot()
+        );
       } catch (e) {
         // reject with new ValidateBlockError if something is gone bad
         reject(new ValidateBlockError(e));
@@ -69,11 +181,64 @@ class Block {
     });
   }
 
+  /**
+   * Auxiliary Method that tells why `validate()` fails: the fields of the block that no
+   * longer match its hash, proof of work or Merkle root.
+   * The method will return a Promise that will resolve with an array of `{ field, onBlock, expected }`,
+   * empty if the block is valid.
+   */
+  getMismatchedFields() {
+    let self = this;
+    return new Promise((resolve, reject) => {
+      try {
+        const mismatches = [];
+        const currentHash = self.hash;
+        self.hash = null;
+        const newHash = self._hashBlock();
+        self.hash = currentHash;
+        if (currentHash !== newHash) {
+          mismatches.push({
+            field: "hash",
+            onBlock: currentHash,
+            expected: newHash,
+          });
+        } else if (!self._meetsDifficulty(newHash)) {
+          mismatches.push({
+            field: "nonce",
+            onBlock: self.nonce,
+            expected: `a nonce giving ${self.difficulty} leading zeros`,
+          });
+        }
+        if (!self._hasValidMerkleRoot()) {
+          let expected = null;
+          try {
+            const data = JSON.parse(self._decodeBody());
+            expected = merkle.merkleRoot(bodyLeaves(data, self.version));
+          } catch (e) {
+            // the body can't be decoded, there is no root to expect
+          }
+          mismatches.push(
+            expected === self.merkleRoot
+              ? {
+                  field: "body",
+                  onBlock: "repeated transactions",
+                  expected: "each transaction once",
+                }
+              : { field: "merkleRoot", onBlock: self.merkleRoot, expected }
+          );
+        }
+        resolve(mismatches);
+      } catch (e) {
+        reject(new ValidateBlockError(e));
+      }
+    });
+  }
+
   /**
    *  Auxiliary Method to return the block body (decoding the data)
    *  Steps:
    *
-   *  1. Use hex2ascii module to decode the data
+   *  1. Decode the data with the encoding of the block (hex2ascii for legacy blocks, UTF-8 otherwise)
    *  2. Because data is a javascript object use JSON.parse(string) to get the Javascript Object
    *  3. Resolve with the data and make sure that you don't need to return the data for the `genesis block`
    *     or Reject with an error.
@@ -86,8 +251,8 @@ class Block {
         reject(new GetBlockDataError("This is Genesis Block!"));
       }
       try {
-        // decode data in an ascii string;
-        const decodedData = hex2ascii(self.body);
+        // decode data in a string with the encoding of the block;
+        const decodedData = self._decodeBody();
         // parse the string in a Javascript object;
         const parsed = JSON.parse(decodedData);
         // resolve promise with parsed data
@@ -99,6 +264,62 @@ class Block {
     });
   }
 
+  /**
+   * Auxiliary Method that decodes the body of any block, genesis included,
+   * used to check the content of the blocks when validating a chain.
+   * The method will return a Promise that will resolve with the parsed body
+   * or reject with GetBlockDataError if it can't be decoded.
+   */
+  getPayload() {
+    const self = this;
+    return new Promise((resolve, reject) => {
+      try {
+        resolve(JSON.parse(self._decodeBody()));
+      } catch (e) {
+        reject(new GetBlockDataError(e));
+      }
+    });
+  }
+
+  /**
+   * Auxiliary Method that returns the transactions stored in the block: the list
+   * of a multi-transaction body, the single `data` of a legacy block, nothing for the genesis block.
+   * The method will return a Promise that will resolve with an array of transactions
+   */
+  getTransactions() {
+    const self = this;
+    return new Promise((resolve, reject) => {
+      if (self.previousBlockHash == null || !self.height) {
+        return resolve([]);
+      }
+      try {
+        const parsed = JSON.parse(self._decodeBody());
+        resolve(
+          Array.isArray(parsed.transactions)
+            ? parsed.transactions
+            : [parsed.data]
+        );
+      } catch (e) {
+        reject(new GetBlockDataError(e));
+      }
+    });
+  }
+
+  /**
+   * Auxiliary Method that returns the header of the block: every hashed field but the
+   * body, plus the hash. With the Merkle root it's all a light client needs.
+   * @returns plain object
+   */
+  getHeader() {
+    const version = this.version === undefined ? LEGACY_VERSION : this.version;
+    const fields = HASHED_FIELDS[version] || [];
+    const header = { hash: this.hash };
+    fields
+      .filter((field) => field !== "body")
+      .forEach((field) => (header[field] = this[field]));
+    return header;
+  }
+
   /**
    * utility method for setting height of block. Can be chained
    * with other methods of class
@@ -148,13 +369,120 @@ class Block {
     return this;
   }
 
+  /**
+   * proof of work: increment the nonce and recalculate the hash until it
+   * starts with `difficulty` zeros. Difficulty is saved in the block so that
+   * anyone can check the work done.
+   * Nonces are tried `MINING_CHUNK` at a time and the event loop runs between two
+   * chunks, so the node keeps serving requests (and peers) while it mines.
+   * @param {*} difficulty number of leading zeros (hex digits) of the hash
+   * @returns Promise that will resolve with the block once mined
+   */
+  async mine(difficulty) {
+    if (difficulty < 0) {
+      throw new Error("Difficulty cannot be less then zero");
+    }
+    this.difficulty = difficulty;
+    this.nonce = 0;
+    this.hash = null;
+    let hash = this._hashBlock();
+    while (!this._meetsDifficulty(hash)) {
+      this.nonce++;
+      if (this.nonce % MINING_CHUNK === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      hash = this._hashBlock();
+    }
+    this.hash = hash;
+    return this;
+  }
+
+  /**
+   * rebuild a Block instance from a plain object (ex. a block read from
+   * storage). Only the stored fields are assigned, in their stored order,
+   * so that the recalculated hash of legacy blocks (whole object hashed) is the same of the stored one
+   * @param {*} obj plain object with block fields
+   * @returns new Block instance
+   */
+  static fromObject(obj) {
+    return Object.assign(Object.create(Block.prototype), obj);
+  }
+
+  /**
+   * private method that decodes the body in a string, according to the
+   * encoding version of the block
+   * @returns decoded string
+   */
+  _decodeBody() {
+    const encoding =
+      this.encoding === undefined ? LEGACY_ENCODING : this.encoding;
+    switch (encoding) {
+      case LEGACY_ENCODING:
+        return hex2ascii(this.body);
+      case UTF8_HEX_ENCODING:
+        return Buffer.from(this.body, "hex").toString("utf8");
+      default:
+        throw new Error(`Unknown body encoding ${encoding}`);
+    }
+  }
+
+  /**
+   * private method that checks the Merkle root against the transactions of
+   * the body. Blocks before version 2 have no Merkle root to check.
+   * Since version 3 the body is committed only by the root, so a body that repeats a
+   * transaction is not valid: a copy of the last transaction wouldn't change the root.
+   * @returns true if the Merkle root is valid
+   */
+  _hasValidMerkleRoot() {
+    if (!(this.version >= 2)) {
+      return true;
+    }
+    try {
+      const data = JSON.parse(this._decodeBody());
+      const leaves = bodyLeaves(data, this.version);
+      if (this.version >= 3 && merkle.hasRepeatedLeaves(leaves)) {
+        return false;
+      }
+      return merkle.merkleRoot(leaves) === this.merkleRoot;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * private method that checks if an hash satisfies the difficulty of block
+   * @param {*} hash
+   * @returns true if hash starts with `difficulty` zeros
+   */
+  _meetsDifficulty(hash) {
+    const difficulty = this.difficulty || 0;
+    return hash.startsWith("0".repeat(difficulty));
+  }
+
+  /**
+   * private method that serializes the block for hashing, with the rules
+   * of the block version
+   * @returns string to hash
+   */
+  _serialize() {
+    const version = this.version === undefined ? LEGACY_VERSION : this.version;
+    if (version === LEGACY_VERSION) {
+      return JSON.stringify(this);
+    }
+    const fields = HASHED_FIELDS[version];
+    if (!fields) {
+      throw new Error(`Unknown block version ${version}`);
+    }
+    return JSON.stringify(fields.map((field) => this[field]));
+  }
+
   /**
    * private method for abstracting process of encrypting information
    * of block in an hash with SHA256 algorithm
    * @returns string with hash of current block
    */
   _hashBlock() {
-    return SHA256(JSON.stringify(this)).toString();
+    return SHA256(this._serialize()).toString();
   }
 }
 
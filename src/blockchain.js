@@ -2,15 +2,26 @@
  *                          Blockchain Class
  *  The Blockchain class contain the basics functions to create your own private blockchain
  *  It uses libraries like `crypto-js` to create the hashes for each block and `bitcoinjs-message`
- *  to verify a message signature. The chain is stored in the array
- *  `this.chain = [];`. Of course each time you run the application the chain will be empty because and array
- *  isn't a persisten storage method.
+ *  to verify a message signature. The chain is kept in the array `this.chain = [];` and every
+ *  block added is also appended to a pluggable storage backend (see `storage.js`), so a chain
+ *  persisted on file is loaded back and validated when the application restarts.
  *
  */
 
+const EventEmitter = require("events");
+const SHA256 = require("crypto-js/sha256");
 const BlockClass = require("./block.js");
-const bitcoinMessage = require("bitcoinjs-message");
 const helpers = require("./helpers");
+const merkle = require("./merkle");
+const { MemoryStorage } = require("./storage");
+const coordinates = require("./coordinates");
+const { ChallengePool, parseMessage } = require("./challenges");
+const { Mempool } = require("./mempool");
+const { ChainIndex, applyTransaction, cloneRecord } = require("./indexes");
+const consensus = require("./consensus");
+const forensics = require("./forensics");
+const addresses = require("./addresses");
+const certificates = require("./certificates");
 
 class AddNewBlockError extends Error {
   constructor(msg) {
@@ -26,6 +37,54 @@ class SubmitStarError extends Error {
   }
 }
 
+class StarAlreadyRegisteredError extends SubmitStarError {
+  constructor(record) {
+    super(
+      `star is already registered by ${record.owner} in ` +
+        (record.blockHash
+          ? `block ${record.blockHash} (height ${record.height})`
+          : `pending transaction ${record.starHash}`)
+    );
+    this.name = "StarAlreadyRegisteredError";
+    this.block = {
+      hash: record.blockHash,
+      height: record.height,
+      owner: record.owner,
+      starHash: record.starHash,
+    };
+  }
+}
+
+class StarNotInCatalogError extends SubmitStarError {
+  constructor(star) {
+    super(
+      `no object of the star catalog is near dec ${star.dec} ra ${star.ra}`
+    );
+    this.name = "StarNotInCatalogError";
+  }
+}
+
+class TransferStarError extends Error {
+  constructor(msg) {
+    super("An error occured transferring a star: " + msg);
+    this.name = "TransferStarError";
+  }
+}
+
+class AmendStarError extends Error {
+  constructor(msg) {
+    super("An error occured amending a star: " + msg);
+    this.name = "AmendStarError";
+  }
+}
+
+class StarNotFoundError extends Error {
+  constructor(hash) {
+    super(`No star has been registered with hash ${hash}`);
+    this.name = "StarNotFoundError";
+  }
+}
+
 class GetStarByOwnerError extends Error {
   constructor(msg) {
     super("An error occured when searching stars by owner: " + msg);
@@ -33,18 +92,75 @@ class GetStarByOwnerError extends Error {
   }
 }
 
+class SearchStarsError extends Error {
+  constructor(msg) {
+    super("An error occured searching stars: " + msg);
+    this.name = "SearchStarsError";
+  }
+}
+
+class TransactionNotFoundError extends Error {
+  constructor(txid) {
+    super(`No transaction with hash ${txid} is in the chain`);
+    this.name = "TransactionNotFoundError";
+  }
+}
+
+class TransactionProofError extends Error {
+  constructor(msg) {
+    super("Inclusion proof cannot be built: " + msg);
+    this.name = "TransactionProofError";
+  }
+}
+
+class LoadChainError extends Error {
+  constructor(msg, errors = []) {
+    super("Stored chain cannot be loaded: " + msg);
+    this.name = "LoadChainError";
+    this.errors = errors;
+  }
+}
+
+class ReceiveBlockError extends Error {
+  constructor(msg) {
+    super("Block received from peer has been rejected: " + msg);
+    this.name = "ReceiveBlockError";
+  }
+}
+
+class RollbackError extends Error {
+  constructor(msg) {
+    super("An error occured rolling back the chain: " + msg);
+    this.name = "RollbackError";
+  }
+}
+
 class ValidationErrorLog {
-  constructor(message, data) {
+  constructor(code, message, data) {
+    this.code = code;
     this.message = message;
     this.data = data;
   }
 
   buildObject() {
-    return { message: this.message, data: this.data };
+    return { code: this.code, message: this.message, data: this.data };
   }
 }
 
-class Blockchain {
+/**
+ * difficulty a block has been mined with. Blocks created before proof of work have
+ * neither a `version` nor a `difficulty`: they count as mined with difficulty 0.
+ * @param {*} block
+ * @returns number of leading zeros
+ */
+const recordedDifficulty = (block) => {
+  if (consensus.isLegacyBlock(block)) {
+    return 0;
+  }
+  return block.difficulty;
+};
+
+class Blockchain extends EventEmitter {
   /**
    * Constructor of the class, you will need to setup your chain array and the height
    * of your chain (the length of your chain array).
@@ -52,27 +168,150 @@ class Blockchain {
    * the Genesis Block.
    * The methods in this class will always return a Promise to allow client applications or
    * other backends to call asynchronous functions.
+   * `ready` is the Promise of the initialization: it rejects if the stored
+   * chain cannot be loaded, so callers should wait for it before serving requests.
+   * The class is an EventEmitter: it emits `block` with every block appended to the
+   * chain, `replaced` with the new chain when it is swapped with one holding more work and
+   * `invalid` with the errors when a validation of our chain fails.
+   * @param {*} storage backend where blocks are persisted (default in memory)
+   * @param {*} options chain settings:
+   *  - `difficulty` minimum difficulty: leading zeros required in the hash of a new genesis block (and of every
+   *    block without adjustment), no block of a valid chain is mined with less
+   *  - `adjustmentInterval` every how many blocks the difficulty is recalculated (0 disables the adjustment)
+   *  - `targetBlockTime` seconds we'd like to pass between two blocks
+   *  - `starTolerance` arcseconds within which two stars are considered the same star
+   *  - `batchSize` number of pending transactions that triggers the mining of a block (above 1 it needs `batchInterval`)
+   *  - `batchInterval` seconds between two blocks mined with the pending transactions (0 disables the timer)
+   *  - `validationInterval` seconds between two full validations of the chain (default 600, 0 disables the timer):
+   *    appends only check the tip, a block changed in memory is only noticed by these validations
+   *  - `network` Bitcoin network of the wallet addresses: "mainnet" (default), "testnet" or "regtest"
+   *  - `nodeKey` NodeKey that signs the certificates of the stars (default a new random key, see `certificates.js`)
+   *  - `catalog` StarCatalog the submitted stars are matched against (default none, see `catalog.js`)
+   *  - `catalogTolerance` arcseconds within which a catalog object matches a submitted star
+   *  - `catalogMode` what to do with stars that match no catalog object: "flag" them (default) or "reject" them
    */
-  constructor() {
+  constructor(storage = new MemoryStorage(), options = {}) {
+    super();
+    // every client of the live feed listens to the events (see `feed.js`)
+    this.setMaxListeners(0);
     this.chain = [];
     this.height = -1;
+    this.storage = storage;
+    // lookups by hash, transaction and owner (see `indexes.js`)
+    this.index = new ChainIndex();
     // set a limitTime as a property of blockChain, so it'll be more easy to change in future
     this.limitTime = helpers.minuteToSeconds(5);
-    this.initializeChain();
+    // messages to sign are one-time challenges, valid for `limitTime`
+    this.challenges = new ChallengePool(this.limitTime);
+    const {
+      starTolerance = 1,
+      batchSize = 1,
+      batchInterval = 0,
+      validationInterval = 600,
+      network = "mainnet",
+      nodeKey = certificates.NodeKey.generate(),
+      catalog = null,
+      catalogTolerance = 300,
+      catalogMode = "flag",
+      ...mining
+    } = options;
+    this.mining = {
+      difficulty: 2,
+      adjustmentInterval: 0,
+      targetBlockTime: 60,
+      ...mining,
+    };
+    if (
+      !Number.isInteger(this.mining.difficulty) ||
+      this.mining.difficulty < 0 ||
+      this.mining.difficulty > consensus.MAX_DIFFICULTY
+    ) {
+      throw new Error(
+        `Difficulty must be an integer between 0 and ${consensus.MAX_DIFFICULTY}`
+      );
+    }
+    // addresses of other networks are refused (see `addresses.js`)
+    addresses.getNetwork(network);
+    this.network = network;
+    this.nodeKey = nodeKey;
+    if (!["flag", "reject"].includes(catalogMode)) {
+      throw new Error(
+        `Unknown catalog mode "${catalogMode}", use flag, reject`
+      );
+    }
+    this.catalog = catalog;
+    this.catalogMode = catalogMode;
+    this.catalogTolerance = helpers.arcsecondsToDegrees(catalogTolerance);
+    // distance (in degrees) under which a submitted star is a duplicate of a registered one
+    this.starTolerance = helpers.arcsecondsToDegrees(starTolerance);
+    // submitters wait for the block of their transaction: without a timer a batch
+    // that never fills would keep them waiting forever
+    if (batchSize > 1 && !(batchInterval > 0)) {
+      throw new Error(
+        "A batchSize larger than 1 needs a batchInterval, or a lone transaction would never be mined"
+      );
+    }
+    // transactions wait in the mempool and are committed in batches
+    this.mempool = new Mempool();
+    this.batch = { size: batchSize, interval: batchInterval };
+    if (batchInterval > 0) {
+      // failures are reported to the submitters of the transactions
+      this.batchTimer = setInterval(
+        () => this.mineBlock().catch(() => {}),
+        batchInterval * 1000
+      );
+      // the timer alone shouldn't keep the process running
+      this.batchTimer.unref();
+    }
+    // height of the last block checked: blocks up to it passed a full validation or
+    // have been checked one by one when appended, -1 while the chain is not trusted
+    this.verifiedHeight = -1;
+    // tail of the write queue: every change of the chain waits for the previous one
+    this.writeQueue = Promise.resolve();
+    if (validationInterval > 0) {
+      // errors are reported with the `invalid` event
+      this.validationTimer = setInterval(
+        () => this.validateChain().catch(() => {}),
+        validationInterval * 1000
+      );
+      this.validationTimer.unref();
+    }
+    this.ready = this.initializeChain();
   }
 
   /**
-   * This method will check for the height of the chain and if there isn't a Genesis Block it will create it.
+   * This method will load the blocks saved in storage and validate them. If the stored chain
+   * has been tampered it rejects with a LoadChainError containing the validation errors.
+   * If there isn't a Genesis Block it will create it.
    * You should use the `addBlock(block)` to create the Genesis Block
    * Passing as a data `{data: 'Genesis Block'}`
    */
   async initializeChain() {
+    await this._loadChain();
     if (this.height === -1) {
-      let block = new BlockClass.Block({ data: "Genesis Block" });
+      let block = new BlockClass.Block(consensus.GENESIS_PAYLOAD);
       await this._addBlock(block);
     }
   }
 
+  /**
+   * private method that rebuilds the chain from the blocks in storage,
+   * runs `validateChain()` over them and rebuilds the indexes
+   */
+  async _loadChain() {
+    const stored = await this.storage.load();
+    this.chain = stored.map((b) => BlockClass.Block.fromObject(b));
+    this.height = this.chain.length - 1;
+    const errors = await this.validateChain();
+    if (errors.length) {
+      throw new LoadChainError(
+        `${errors.length} validation errors found`,
+        errors
+      );
+    }
+    await this.index.rebuild(this.chain);
+  }
+
   /**
    * Utility method that return a Promise that will resolve with the height of the chain
    */
@@ -82,6 +321,21 @@ class Blockchain {
     });
   }
 
+  /**
+   * private method that runs the changes of the chain (append or replacement) one
+   * after the other. They read the tip, then await validation and storage before
+   * updating it: run side by side, two appends would build blocks on the same tip
+   * and fork the chain in place.
+   * @param {*} task async function that changes the chain
+   * @returns Promise that settles like the task, once it has run
+   */
+  _enqueueWrite(task) {
+    const result = this.writeQueue.then(() => task());
+    // a failed task must not stop the queue
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
   /**
    * _addBlock(block) will store a block in the chain
    * @param {*} block
@@ -93,43 +347,477 @@ class Blockchain {
    * to update the `this.height`
    * Note: the symbol `_` in the method name indicates in the javascript convention
    * that this method is a private method.
+   * Blocks are added through the write queue, so the tip can't change while a block is built.
    */
   _addBlock(block) {
+    let self = this;
+    return self._enqueueWrite(() => self._mineOnTip(block));
+  }
+
+  /**
+   * private method that links a block to our tip, mines it and appends it once checked.
+   * It must run in the write queue (see `_addBlock` and `mineBlock`).
+   * @param {*} block
+   * @returns Promise that will resolve with the block added or reject with AddNewBlockError
+   */
+  async _mineOnTip(block) {
+    try {
+      const chainLength = this.chain.length;
+      const previousBlock = this.chain[chainLength - 1];
+      // we use helper methods of block class in "point chaining" fashion
+      block
+        .setPreviousHash(previousBlock ? previousBlock.hash : null)
+        .setTimeStamp()
+        .setHeight(chainLength);
+      await block.mine(this.getDifficultyForHeight(chainLength));
+      const errors = await this._validateAppend(block);
+      if (errors.length) {
+        throw new Error("Chain is invalid!");
+      }
+      await this._appendBlock(block);
+      return block;
+    } catch (error) {
+      throw new AddNewBlockError(error.message);
+    }
+  }
+
+  /**
+   * private method that persists a block, appends it to the chain and updates the indexes.
+   * Every block appended is emitted with the `block` event.
+   * @param {*} block a valid block that extends our tip
+   */
+  async _appendBlock(block) {
+    const transactions = await block.getTransactions();
+    await this.storage.append(block);
+    this.chain.push(block);
+    this.height++;
+    this.verifiedHeight = this.height;
+    this.index.addBlock(block, transactions);
+    this.emit("block", block);
+  }
+
+  /**
+   * private method that checks a block before it's appended to the chain.
+   * Re-hashing the whole chain for every block would make N appends cost O(N²), so only
+   * the new block and our tip are checked: the blocks below the tip have already been
+   * verified. If the chain changed since the last verification (or a validation found
+   * errors) a full `validateChain()` runs first.
+   * The tip is checked again because it's the block the new one links to: a tampered
+   * tip would otherwise be sealed by a valid block. The transactions of the new block are
+   * checked against the index of our chain.
+   * @param {*} block the block to append, with its height and previousBlockHash set
+   * @returns Promise that will resolve with the list of errors
+   */
+  async _validateAppend(block) {
+    if (this.verifiedHeight !== this.height) {
+      const errors = await this.validateChain();
+      if (errors.length) {
+        return errors;
+      }
+    }
+    const chain = this.chain.concat(block);
+    let errors = [];
+    for (let i = Math.max(chain.length - 2, 0); i < chain.length; i++) {
+      // the transactions of the tip are already in the index
+      const state = i === chain.length - 1 ? this.index : null;
+      errors = errors.concat(await this._validateBlockAt(chain, i, state));
+    }
+    return errors;
+  }
+
+  /**
+   * This method handles a block mined by another node. The block is not mined again:
+   * it is appended as it is if it extends our tip and the chain stays valid.
+   * Like `_addBlock` it goes through the write queue.
+   * The method will return a Promise that will resolve with:
+   * - `added` the block extends our chain and has been appended
+   * - `ignored` we already have a block at that height (ex. our own block broadcasted back)
+   * - `conflict` the block doesn't fit on our tip, the peer may have a chain with more work to fetch
+   * or reject with ReceiveBlockError if the block is not valid.
+   * @param {*} blockData plain object with block fields
+   */
+  receiveBlock(blockData) {
+    let self = this;
+    return self._enqueueWrite(async () => {
+      try {
+        const block = BlockClass.Block.fromObject(blockData);
+        if (block.height <= self.height) {
+          return "ignored";
+        }
+        const tip = self.chain[self.chain.length - 1];
+        if (
+          block.height !== self.height + 1 ||
+          block.previousBlockHash !== tip.hash
+        ) {
+          return "conflict";
+        }
+        const errors = await self._validateAppend(block);
+        if (errors.length) {
+          throw new Error(errors.map((e) => e.message).join(", "));
+        }
+        await self._appendBlock(block);
+        return "added";
+      } catch (error) {
+        throw new ReceiveBlockError(error.message);
+      }
+    });
+  }
+
+  /**
+   * Most work consensus: the chain passed as parameter replaces ours only if it starts
+   * with our genesis block, holds more work than ours (see `consensus.chainWork`) and
+   * passes `validateChain()`, which enforces our minimum difficulty. Length alone proves
+   * nothing: many blocks mined with little work would otherwise beat a harder chain.
+   * Storage is rewritten with the new blocks.
+   * The method will return a Promise that will resolve with true if the chain has been
+   * replaced, false otherwise. The replacement waits in the write queue for pending appends.
+   * @param {*} chainData array of plain objects with block fields
+   */
+  replaceChain(chainData) {
+    let self = this;
+    return self._enqueueWrite(async () => {
+      if (!Array.isArray(chainData) || !chainData.length) {
+        return false;
+      }
+      const chain = chainData.map((b) => BlockClass.Block.fromObject(b));
+      if (
+        chain[0].hash !== self.chain[0].hash ||
+        consensus.chainWork(chain) <= consensus.chainWork(self.chain)
+      ) {
+        return false;
+      }
+      const errors = await self.validateChain(chain);
+      if (errors.length) {
+        return false;
+      }
+      await self._setChain(chain);
+      return true;
+    });
+  }
+
+  /**
+   * private method that swaps our chain with a valid one: storage is rewritten,
+   * indexes are rebuilt and the new chain is emitted with the `replaced` event.
+   * It must run in the write queue.
+   * @param {*} chain array of blocks, already validated
+   */
+  async _setChain(chain) {
+    await this.storage.replace(chain);
+    this.chain = chain;
+    this.height = chain.length - 1;
+    this.verifiedHeight = this.height;
+    await this.index.rebuild(chain);
+    this.emit("replaced", chain);
+  }
+
+  /**
+   * This method explains why our chain is not valid: it runs `validateChain()` and
+   * names the first divergent block, the fields that no longer match (also against
+   * the copy in storage) and how many blocks depend on it (see `forensics.js`).
+   * The method will return a Promise that will resolve with the report.
+   */
+  getForensicReport() {
     let self = this;
     return new Promise(async (resolve, reject) => {
       try {
-        const chainLength = self.chain.length;
-        const previousBlock = self.chain[chainLength - 1];
-        // we use helper methods of block class in "point chaining" fashion
-        block
-          .setPreviousHash(previousBlock ? previousBlock.hash : null)
-          .setTimeStamp()
-          .setHeight(chainLength)
-          .setHash();
+        const chain = self.chain.slice();
         const errors = await self.validateChain();
-        if (errors.length) {
-          throw new Error("Chain is invalid!");
+        const stored = await self.storage.load();
+        resolve(await forensics.buildReport(chain, errors, stored));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Admin operation that rolls the chain back to the block at `height`: the blocks
+   * above it are archived in storage (`storage.archive`), not deleted.
+   * The method will return a Promise that will resolve with `{ height, archived, archive }`
+   * or reject with RollbackError if the remaining chain is not valid.
+   * @param {*} height height of the new tip (default the last valid block of the forensic report)
+   */
+  truncateChain(height) {
+    let self = this;
+    return self._enqueueWrite(async () => {
+      if (height === undefined) {
+        height = (await self.getForensicReport()).lastValidHeight;
+        if (height < 0) {
+          throw new RollbackError(
+            "the genesis block is not valid, restore the chain from a snapshot or a peer"
+          );
         }
-        self.chain.push(block);
-        self.height++;
+      }
+      if (!Number.isInteger(height) || height < 0 || height > self.height) {
+        throw new RollbackError(
+          `height must be between 0 and ${self.height}, got ${height}`
+        );
+      }
+      const kept = self.chain.slice(0, height + 1);
+      const errors = await self.validateChain(kept);
+      if (errors.length) {
+        throw new RollbackError(
+          `the chain up to height ${height} is not valid, restore it from a snapshot or a peer`
+        );
+      }
+      const discarded = self.chain.slice(height + 1);
+      const archive = discarded.length
+        ? await self.storage.archive(discarded)
+        : null;
+      await self._setChain(kept);
+      return { height, archived: discarded.length, archive };
+    });
+  }
+
+  /**
+   * Admin operation that replaces our chain with a trusted one (a snapshot or the chain
+   * of a peer), whatever its length. Our current blocks are archived in storage first.
+   * The method will return a Promise that will resolve with `{ height, archived, archive }`
+   * or reject with RollbackError if the trusted chain is not valid.
+   * @param {*} chainData array of plain objects with block fields
+   */
+  restoreChain(chainData) {
+    let self = this;
+    return self._enqueueWrite(async () => {
+      if (!Array.isArray(chainData) || !chainData.length) {
+        throw new RollbackError("the chain to restore is empty");
+      }
+      const chain = chainData.map((b) => BlockClass.Block.fromObject(b));
+      const errors = await self.validateChain(chain);
+      if (errors.length) {
+        throw new RollbackError(
+          `the chain to restore is not valid: ${errors
+            .map((e) => `${e.code} at height ${e.data.height}`)
+            .join(", ")}`
+        );
+      }
+      const archive = await self.storage.archive(self.chain);
+      const archived = self.chain.length;
+      await self._setChain(chain);
+      return { height: self.height, archived, archive };
+    });
+  }
+
+  /**
+   * This method commits the pending transactions of the mempool in a new block.
+   * It's called when the mempool reaches `batchSize`, by the batch timer or on demand.
+   * Transactions are checked when they're submitted, but the chain can change before they're
+   * mined (a block received from a peer, another block of the same star mined meanwhile): in
+   * the write queue they're checked again against the tip they're mined on, and the ones that
+   * don't fit anymore are rejected alone (StarAlreadyRegisteredError, TransferStarError...).
+   * The method will return a Promise that will resolve with the block added (null if there
+   * was nothing to commit) or reject if the block couldn't be added: in that case every
+   * submitter of the transactions is rejected too.
+   */
+  mineBlock() {
+    let self = this;
+    return new Promise(async (resolve, reject) => {
+      const entries = self.mempool.take();
+      if (!entries.length) {
+        return resolve(null);
+      }
+      let accepted = entries;
+      try {
+        const block = await self._enqueueWrite(() => {
+          const errors = self._transactionErrors(
+            entries.map((entry) => entry.transaction),
+            self.index
+          );
+          entries.forEach((entry, i) => {
+            if (errors[i]) {
+              entry.reject(errors[i]);
+            }
+          });
+          accepted = entries.filter((entry, i) => !errors[i]);
+          if (!accepted.length) {
+            return null;
+          }
+          return self._mineOnTip(
+            BlockClass.Block.fromTransactions(
+              accepted.map((entry) => entry.transaction)
+            )
+          );
+        });
+        accepted.forEach((entry) => entry.resolve(block));
         resolve(block);
       } catch (error) {
-        reject(new AddNewBlockError(error.message));
+        accepted.forEach((entry) => entry.reject(error));
+        reject(error);
       }
     });
   }
 
+  /**
+   * private method that checks transactions against the chain below them: a star is registered
+   * once (no registered star within `starTolerance`), a transfer or an amendment is made by the
+   * owner of the star at that point of the chain. Each transaction sees the ones before it in
+   * the list, like in a block.
+   * @param {*} transactions in block order
+   * @param {*} state ChainIndex of the chain below the transactions
+   * @param {*} block the block that holds them, null for the transactions of the mempool
+   * (blocks before version 2 identify their star by the block hash, see `ChainIndex.addBlock`)
+   * @param {*} allowDuplicates registrations written before duplicates were refused (default false)
+   * @returns array with the error of each transaction, null for the accepted ones
+   */
+  _transactionErrors(
+    transactions,
+    state,
+    block = null,
+    allowDuplicates = false
+  ) {
+    const legacy = block !== null && !(block.version >= 2);
+    // records changed and positions registered by the transactions before in the list
+    const records = new Map();
+    const positions = [];
+    const recordOf = (starHash) => {
+      if (!records.has(starHash) && state.stars.has(starHash)) {
+        records.set(starHash, cloneRecord(state.stars.get(starHash)));
+      }
+      return records.get(starHash);
+    };
+    const findNear = (position) => {
+      const near = positions.find(
+        ([, registered]) =>
+          coordinates.angularDistance(position, registered) <=
+          this.starTolerance
+      );
+      return near ? near[0] : state.findNear(position, this.starTolerance);
+    };
+    return transactions.map((transaction) => {
+      const txid = merkle.hashTransaction(transaction);
+      let error = null;
+      let position = null;
+      if (transaction.type === "transfer" || transaction.type === "amendment") {
+        const record = recordOf(transaction.starHash);
+        if (!record) {
+          error = new StarNotFoundError(transaction.starHash);
+        } else if (transaction.type === "transfer") {
+          if (record.owner !== transaction.from) {
+            error = new TransferStarError(
+              "Only the current owner can transfer the star"
+            );
+          }
+        } else if (record.owner !== transaction.owner) {
+          error = new AmendStarError(
+            "Only the current owner can amend the star"
+          );
+        } else if (record.blockHash !== transaction.blockHash) {
+          error = new AmendStarError(
+            "Amendment doesn't reference the block of the registration"
+          );
+        } else if (record.revisions.length - 1 !== transaction.revision) {
+          error = new AmendStarError(
+            `Amendment replaces revision ${
+              transaction.revision
+            }, the star is at revision ${record.revisions.length - 1}`
+          );
+        }
+      } else if (!allowDuplicates) {
+        try {
+          position = coordinates.parseStarCoordinates(transaction.star);
+        } catch (e) {
+          // stars registered before coordinates were checked may not parse, they can't be found by position
+        }
+        const near = position && findNear(position);
+        if (near) {
+          error = new StarAlreadyRegisteredError(recordOf(near));
+        }
+      }
+      if (!error) {
+        const starHash = legacy ? block.hash : txid;
+        applyTransaction(records, transaction, {
+          starHash,
+          txid,
+          blockHash: block ? block.hash : null,
+          height: block ? block.height : null,
+          time: block ? block.time : null,
+        });
+        if (position) {
+          positions.push([starHash, position]);
+        }
+      }
+      return error;
+    });
+  }
+
+  /**
+   * private method that puts a transaction in the mempool and mines a block
+   * if the batch is full.
+   * @param {*} transaction
+   * @returns Promise that will resolve with the block that contains the transaction
+   */
+  _queueTransaction(transaction) {
+    const { committed } = this.mempool.add(transaction);
+    if (this.mempool.size >= this.batch.size) {
+      // failures are reported through `committed`
+      this.mineBlock().catch(() => {});
+    }
+    return committed;
+  }
+
+  /**
+   * This method returns the difficulty that the block at `height` must meet.
+   * The configured `difficulty` is a minimum, no block can be mined with less: a chain can't
+   * make itself easier to forge by recording a lower difficulty. A new genesis block is mined
+   * with it, an existing one may have been mined with more and keeps it.
+   * Every `adjustmentInterval` blocks
+   * we compare the time spent mining the last interval with the target: if blocks
+   * came twice faster difficulty goes up by one (up to `MAX_DIFFICULTY`, see `consensus.js`),
+   * if they came twice slower it goes down by one (not below the minimum).
+   * Between two adjustments a block keeps the difficulty of the previous one.
+   * It only reads blocks below `height`, so it can be used to check an already built chain.
+   * @param {*} height
+   * @param {*} chain chain to read previous blocks from (default our chain)
+   * @returns number of leading zeros required
+   */
+  getDifficultyForHeight(height, chain = this.chain) {
+    const { difficulty, adjustmentInterval, targetBlockTime } = this.mining;
+    const previousBlock = chain[height - 1];
+    if (!previousBlock) {
+      return chain[height]
+        ? Math.max(recordedDifficulty(chain[height]), difficulty)
+        : difficulty;
+    }
+    // blocks written before proof of work count as 0, the next one is mined with the minimum
+    const previousDifficulty = Math.max(
+      recordedDifficulty(previousBlock),
+      difficulty
+    );
+    if (adjustmentInterval < 2 || height % adjustmentInterval !== 0) {
+      return previousDifficulty;
+    }
+    const firstBlock = chain[height - adjustmentInterval];
+    const elapsed = parseInt(previousBlock.time) - parseInt(firstBlock.time);
+    const expected = targetBlockTime * (adjustmentInterval - 1);
+    if (elapsed < expected / 2) {
+      return Math.min(previousDifficulty + 1, consensus.MAX_DIFFICULTY);
+    }
+    if (elapsed > expected * 2) {
+      return Math.max(previousDifficulty - 1, difficulty);
+    }
+    return previousDifficulty;
+  }
+
   /**
    * The requestMessageOwnershipVerification(address) method
    * will allow you  to request a message that you will use to
    * sign it with your Bitcoin Wallet (Electrum or Bitcoin Core)
    * This is the first step before submit your Block.
-   * The method return a Promise that will resolve with the message to be signed
+   * The message is a one-time challenge bound to the address, with a random nonce:
+   * `<WALLET_ADDRESS>:<TIMESTAMP>:starRegistry:<NONCE>`
+   * The method return a Promise that will resolve with the message to be signed, or reject
+   * with AddressError if the address is not valid on the network of the node
    * @param {*} address
    */
   requestMessageOwnershipVerification(address) {
-    return new Promise((resolve) => {
-      resolve(`${address}:${helpers.getTimeStamp()}:starRegistry`);
+    let self = this;
+    return new Promise((resolve, reject) => {
+      try {
+        addresses.checkAddress(address, self.network);
+        resolve(self.challenges.issue(address, "starRegistry"));
+      } catch (e) {
+        reject(e);
+      }
     });
   }
 
@@ -139,12 +827,19 @@ class Blockchain {
    * into the chain. This method will resolve with the Block added or
    * reject with an error.
    * Algorithm steps:
-   * 1. Get the time from the message sent as a parameter example: `parseInt(message.split(':')[1])`
-   * 2. Get the current time: `let currentTime = parseInt(new Date().getTime().toString().slice(0, -3));`
-   * 3. Check if the time elapsed is less than 5 minutes
-   * 4. Veify the message with wallet address and signature: `bitcoinMessage.verify(message, address, signature)`
-   * 5. Create the block and add it to the chain
-   * 6. Resolve with the block added.
+   * 1. Check that the message is a pending challenge issued to `address` and less than 5 minutes old,
+   *    otherwise reject with a ChallengeError subclass (mismatch, unknown, expired or replayed message)
+   * 2. Veify the message with wallet address and signature: `addresses.verifySignature(message, address, signature)`,
+   *    legacy, P2SH-SegWit and bech32 addresses of the network of the node are accepted (AddressError otherwise)
+   * 3. Consume the challenge, so the same signed message can't be submitted again
+   * 4. Check that the star coordinates are valid (ParseCoordinatesError otherwise) and that the star is not
+   *    registered yet (in the chain or in the mempool), otherwise reject with StarAlreadyRegisteredError
+   *    naming the block of the current owner
+   * 5. With a star catalog, annotate the transaction with the nearest catalog object
+   *    `catalog: { name, magnitude, constellation, distance }`: stars that match no object are
+   *    flagged with `catalog: null`, or rejected with StarNotInCatalogError in "reject" mode
+   * 6. Put the `{ owner, star, catalog }` transaction in the mempool
+   * 7. Resolve with the block that commits the transaction.
    * @param {*} address
    * @param {*} message
    * @param {*} signature
@@ -154,40 +849,440 @@ class Blockchain {
     let self = this;
     return new Promise(async (resolve, reject) => {
       try {
-        const messageTime = parseInt(message.split(":")[1]);
-        const currentTime = parseInt(helpers.getTimeStamp());
-        if (currentTime - messageTime > self.limitTime) {
-          throw new SubmitStarError(
-            "Too much time passed between request validation and submit"
+        addresses.checkAddress(address, self.network);
+        self.challenges.verify(message, address, "starRegistry");
+        if (!addresses.verifySignature(message, address, signature)) {
+          throw new SubmitStarError("Validation for your message failed!");
+        }
+        self.challenges.consume(message);
+        const registered = await self.findStarByCoordinates(star);
+        if (registered) {
+          throw new StarAlreadyRegisteredError(registered);
+        }
+        const transaction = { owner: address, star };
+        if (self.catalog) {
+          const match = self.catalog.match(
+            coordinates.parseStarCoordinates(star),
+            self.catalogTolerance
           );
+          if (!match && self.catalogMode === "reject") {
+            throw new StarNotInCatalogError(star);
+          }
+          transaction.catalog = match;
         }
-        if (!bitcoinMessage.verify(message, address, signature)) {
-          throw new SubmitStarError("Validation for your message failed!");
+        const block = await self._queueTransaction(transaction);
+        resolve(block);
+      } catch (e) {
+        // errors of the request have their own class, the others (ex. the block
+        // can't be stored) are faults of the node and are not disguised as a rejection
+        reject(e);
+      }
+    });
+  }
+
+  /**
+   * The requestTransferMessage(address, to, starHash) method returns the message
+   * that the current owner of a star has to sign with its wallet to hand the star
+   * to another wallet. A star is identified by its `starHash` (see `ChainIndex.addBlock`).
+   * Like the registration message it is a one-time challenge bound to the address:
+   * `<FROM_ADDRESS>:<TIMESTAMP>:starTransfer:<STAR_HASH>:<TO_ADDRESS>:<NONCE>`
+   * It rejects with AddressError if an address is not valid on the network of the node
+   * @param {*} address wallet address of the current owner
+   * @param {*} to wallet address of the new owner
+   * @param {*} starHash id of the star
+   */
+  requestTransferMessage(address, to, starHash) {
+    let self = this;
+    return new Promise((resolve, reject) => {
+      try {
+        addresses.checkAddress(address, self.network);
+        addresses.checkAddress(to, self.network);
+        resolve(self.challenges.issue(address, "starTransfer", [starHash, to]));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
+
+  /**
+   * The transferStar(address, message, signature, to, starHash) method records in a transaction
+   * the transfer of a star from its current owner to another wallet.
+   * The transaction is `{ type: "transfer", starHash, from, to, message, signature }`: message
+   * and signature are stored too, so that anyone can audit the ownership history.
+   * Algorithm steps:
+   * 1. Check that the message is a pending challenge issued to `address` for this transfer
+   *    (a ChallengeError subclass rejects mismatched, unknown, expired or replayed messages)
+   * 2. Verify the message with wallet address and signature, then consume the challenge
+   * 3. Check that the recipient is a valid address and that `address` is the current owner,
+   *    counting the transfers still in the mempool
+   * 4. Put the transaction in the mempool
+   * 5. Resolve with the block that commits the transaction or reject with TransferStarError
+   *    (StarNotFoundError if no star has been registered with `starHash`)
+   * @param {*} address wallet address of the current owner
+   * @param {*} message
+   * @param {*} signature
+   * @param {*} to wallet address of the new owner
+   * @param {*} starHash id of the star
+   */
+  transferStar(address, message, signature, to, starHash) {
+    let self = this;
+    return new Promise(async (resolve, reject) => {
+      try {
+        addresses.checkAddress(address, self.network);
+        const { fields } = self.challenges.verify(
+          message,
+          address,
+          "starTransfer"
+        );
+        const [messageStarHash, recipient] = fields;
+        if (messageStarHash !== starHash || recipient !== to) {
+          throw new TransferStarError("Message doesn't match the transfer");
         }
-        const newBlock = new BlockClass.Block({
-          data: { owner: address, star },
+        if (!addresses.verifySignature(message, address, signature)) {
+          throw new TransferStarError("Validation for your message failed!");
+        }
+        self.challenges.consume(message);
+        addresses.checkAddress(to, self.network);
+        if (to === address) {
+          throw new TransferStarError("Star is already owned by recipient");
+        }
+        const record = self._getStarRecord(starHash, true);
+        if (!record) {
+          throw new StarNotFoundError(starHash);
+        }
+        if (record.owner !== address) {
+          throw new TransferStarError(
+            "Only the current owner can transfer the star"
+          );
+        }
+        const block = await self._queueTransaction({
+          type: "transfer",
+          starHash,
+          from: address,
+          to,
+          message,
+          signature,
         });
-        const block = await this._addBlock(newBlock);
         resolve(block);
       } catch (e) {
-        reject(
-          e instanceof SubmitStarError ? e : new SubmitStarError(e.message)
+        reject(e);
+      }
+    });
+  }
+
+  /**
+   * The requestAmendmentMessage(address, starHash, story) method returns the message that
+   * the current owner of a star has to sign to replace its story. The story can contain any
+   * character, so the message carries its SHA256 instead. It also carries the current revision
+   * of the story (counting the amendments in the mempool): the signature only authorizes
+   * replacing that one, an amendment signed before another is committed becomes stale.
+   * `<OWNER_ADDRESS>:<TIMESTAMP>:starAmendment:<STAR_HASH>:<REVISION>:<STORY_SHA256>:<NONCE>`
+   * It rejects with AddressError if the address is not valid on the network of the node, or
+   * with StarNotFoundError if no star has been registered with `starHash`
+   * @param {*} address wallet address of the current owner
+   * @param {*} starHash id of the star
+   * @param {*} story new story of the star
+   */
+  requestAmendmentMessage(address, starHash, story) {
+    let self = this;
+    return new Promise((resolve, reject) => {
+      try {
+        addresses.checkAddress(address, self.network);
+        const record = self._getStarRecord(starHash, true);
+        if (!record) {
+          throw new StarNotFoundError(starHash);
+        }
+        resolve(
+          self.challenges.issue(address, "starAmendment", [
+            starHash,
+            String(record.revisions.length - 1),
+            SHA256(String(story)).toString(),
+          ])
+        );
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
+
+  /**
+   * The amendStar(address, message, signature, starHash, story) method records in a transaction
+   * a new version of the story of a star. The block that registered the star is never touched:
+   * the amendment `{ type: "amendment", starHash, blockHash, revision, owner, story, message, signature }`
+   * references it with `blockHash`, names the revision it replaces and carries the signed message,
+   * so every revision can be audited.
+   * Algorithm steps:
+   * 1. Check that the message is a pending challenge issued to `address` for this star and
+   *    this story (a ChallengeError subclass rejects mismatched, unknown, expired or replayed messages)
+   * 2. Verify the message with wallet address and signature, then consume the challenge
+   * 3. Check that `address` is the current owner, counting the transactions still in the mempool,
+   *    that the registration of the star is already in a block and that the revision of the message
+   *    is still the current one
+   * 4. Put the transaction in the mempool
+   * 5. Resolve with the block that commits the transaction or reject with AmendStarError
+   *    (StarNotFoundError if no star has been registered with `starHash`)
+   * @param {*} address wallet address of the current owner
+   * @param {*} message
+   * @param {*} signature
+   * @param {*} starHash id of the star
+   * @param {*} story new story of the star
+   */
+  amendStar(address, message, signature, starHash, story) {
+    let self = this;
+    return new Promise(async (resolve, reject) => {
+      try {
+        addresses.checkAddress(address, self.network);
+        if (typeof story !== "string") {
+          throw new AmendStarError("story must be a string");
+        }
+        const { fields } = self.challenges.verify(
+          message,
+          address,
+          "starAmendment"
         );
+        const [messageStarHash, revision, storyHash] = fields;
+        if (
+          messageStarHash !== starHash ||
+          storyHash !== SHA256(story).toString()
+        ) {
+          throw new AmendStarError("Message doesn't match the amendment");
+        }
+        if (!addresses.verifySignature(message, address, signature)) {
+          throw new AmendStarError("Validation for your message failed!");
+        }
+        self.challenges.consume(message);
+        const record = self._getStarRecord(starHash, true);
+        if (!record) {
+          throw new StarNotFoundError(starHash);
+        }
+        if (record.owner !== address) {
+          throw new AmendStarError("Only the current owner can amend the star");
+        }
+        if (!record.blockHash) {
+          throw new AmendStarError("star registration is not in a block yet");
+        }
+        const current = record.revisions.length - 1;
+        if (revision !== String(current)) {
+          throw new AmendStarError(
+            `Message amends revision ${revision}, the star is at revision ${current}`
+          );
+        }
+        const block = await self._queueTransaction({
+          type: "amendment",
+          starHash,
+          blockHash: record.blockHash,
+          revision: current,
+          owner: address,
+          story,
+          message,
+          signature,
+        });
+        resolve(block);
+      } catch (e) {
         reject(e);
       }
     });
   }
 
+  /**
+   * This method will return a Promise that will resolve with the latest version of a star and
+   * every revision of its story, the registered one first: `{ starHash, blockHash, owner, star,
+   * catalog, revision, revisions }` where `revision` is the number of the current version.
+   * It rejects with StarNotFoundError if no star has been registered with `starHash`
+   * @param {*} starHash id of the star
+   */
+  getStar(starHash) {
+    let self = this;
+    return new Promise((resolve, reject) => {
+      const record = self._getStarRecord(starHash);
+      if (!record) {
+        return reject(new StarNotFoundError(starHash));
+      }
+      resolve({
+        starHash: record.starHash,
+        blockHash: record.blockHash,
+        owner: record.owner,
+        star: record.star,
+        catalog: record.catalog,
+        revision: record.revisions.length - 1,
+        revisions: record.revisions,
+      });
+    });
+  }
+
+  /**
+   * This method will return a Promise that will resolve with the ownership history of
+   * a star: the registration followed by every transfer, in chain order.
+   * It rejects with StarNotFoundError if no star has been registered with `starHash`
+   * @param {*} starHash id of the star
+   */
+  getStarHistory(starHash) {
+    let self = this;
+    return new Promise(async (resolve, reject) => {
+      try {
+        const record = self._getStarRecord(starHash);
+        if (!record) {
+          throw new StarNotFoundError(starHash);
+        }
+        resolve({
+          starHash: record.starHash,
+          blockHash: record.blockHash,
+          owner: record.owner,
+          star: record.star,
+          history: record.history,
+        });
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
+
+  /**
+   * private method that returns the record of a star `{ starHash, blockHash, height, owner, star, history, revisions }`
+   * from the index. With `includePending` the transactions of the mempool are applied
+   * to a copy of the record, so that it counts registrations, transfers and amendments not mined yet.
+   * @param {*} starHash id of the star
+   * @param {*} includePending apply the transactions of the mempool too (default false)
+   * @returns the record, undefined if the star is not registered
+   */
+  _getStarRecord(starHash, includePending = false) {
+    const committed = this.index.stars.get(starHash);
+    if (!includePending) {
+      return committed;
+    }
+    const records = new Map();
+    if (committed) {
+      records.set(starHash, cloneRecord(committed));
+    }
+    for (const { txid, transaction } of this.mempool.getTransactions()) {
+      applyTransaction(records, transaction, {
+        starHash: txid,
+        txid,
+        blockHash: null,
+        height: null,
+        time: null,
+      });
+    }
+    return records.get(starHash);
+  }
+
+  /**
+   * This method will return a Promise that will resolve with the inclusion proof of a
+   * transaction: `{ txid, transaction, blockHash, header, path }`, where `header` is the
+   * header of the block that contains it and `path` the Merkle path from the transaction to
+   * the Merkle root. The proof can be checked offline with `verifyInclusionProof` (see `proof.js`).
+   * It rejects with TransactionNotFoundError if the transaction is not in the chain, or with
+   * TransactionProofError if its block is older than version 3 (its hash covers the body).
+   * @param {*} txid hash of the transaction
+   */
+  getTransactionProof(txid) {
+    let self = this;
+    return new Promise(async (resolve, reject) => {
+      try {
+        const location = self.index.transactions.get(txid);
+        if (!location) {
+          throw new TransactionNotFoundError(txid);
+        }
+        const { block, index } = location;
+        if (!(block.version >= 3)) {
+          throw new TransactionProofError(
+            `block ${block.hash} has version ${block.version}`
+          );
+        }
+        const transactions = await block.getTransactions();
+        const leaves = transactions.map(merkle.hashTransaction);
+        resolve({
+          txid,
+          transaction: transactions[index],
+          blockHash: block.hash,
+          header: block.getHeader(),
+          path: merkle.merkleProof(leaves, index),
+        });
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
+
+  /**
+   * This method will return a Promise that will resolve with the proof-of-existence certificate
+   * of a star, signed with the key of the node (see `certificates.js`). The certificate covers
+   * the registration as it is written in its block: the star and the owner that registered it,
+   * the hash, height and time of the block. Later transfers and amendments don't change it.
+   * It rejects with StarNotFoundError if no star has been registered in the chain with `starHash`
+   * @param {*} starHash id of the star
+   */
+  getStarCertificate(starHash) {
+    let self = this;
+    return new Promise(async (resolve, reject) => {
+      try {
+        const record = self._getStarRecord(starHash);
+        if (!record) {
+          throw new StarNotFoundError(starHash);
+        }
+        const { block, index } = self.index.transactions.get(
+          record.history[0].txid
+        );
+        const registration = (await block.getTransactions())[index];
+        resolve(
+          certificates.issueCertificate(
+            {
+              starHash,
+              star: registration.star,
+              owner: registration.owner,
+              blockHash: block.hash,
+              height: block.height,
+              time: block.time,
+            },
+            self.nodeKey
+          )
+        );
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
+
+  /**
+   * This method will return a Promise that will resolve with `{ valid, errors }` after checking
+   * a certificate: it has to be signed with the key of this node and its star has to be
+   * registered in our chain in the block it names.
+   * @param {*} certificate
+   */
+  verifyStarCertificate(certificate) {
+    let self = this;
+    return new Promise((resolve, reject) => {
+      const { errors } = certificates.verifyCertificate(
+        certificate,
+        self.nodeKey.publicKey
+      );
+      const record = certificate && self._getStarRecord(certificate.starHash);
+      if (!record) {
+        errors.push("Star is not registered in the chain");
+      } else {
+        const block = self.chain[certificate.height];
+        if (
+          record.blockHash !== certificate.blockHash ||
+          !block ||
+          block.hash !== certificate.blockHash
+        ) {
+          errors.push("Star is not registered in the block of the certificate");
+        }
+      }
+      resolve({ valid: errors.length === 0, errors });
+    });
+  }
+
   /**
    * This method will return a Promise that will resolve with the Block
    *  with the hash passed as a parameter.
-   * Search on the chain array for the block that has the hash.
+   * The block is read from the hash index, without scanning the chain.
    * @param {*} hash
    */
   getBlockByHash(hash) {
     let self = this;
     return new Promise((resolve, reject) => {
-      const block = self.chain.find((b) => b.hash === hash);
+      const block = self.index.blocksByHash.get(hash);
       resolve(block);
     });
   }
@@ -195,13 +1290,14 @@ class Blockchain {
   /**
    * This method will return a Promise that will resolve with the Block object
    * with the height equal to the parameter `height`
+   * Height is the offset of the block in the chain array.
    * @param {*} height
    */
   getBlockByHeight(height) {
     let self = this;
     return new Promise((resolve, reject) => {
-      let block = self.chain.filter((p) => p.height === height)[0];
-      if (block) {
+      let block = self.chain[height];
+      if (block && block.height === height) {
         resolve(block);
       } else {
         resolve(null);
@@ -209,27 +1305,210 @@ class Blockchain {
     });
   }
 
+  /**
+   * This method will return a Promise that will resolve with a page of the blocks between two heights:
+   * `{ blocks, next }` with at most `limit` blocks from `from` to `to` (both included, `to` is capped
+   * at the tip) and `next` the height of the first block left out, null once the range is complete.
+   * Heights are offsets in the chain array, so a page is read without scanning the chain.
+   * @param {*} from first height
+   * @param {*} to last height
+   * @param {*} limit max number of blocks
+   */
+  getBlocksByRange(from, to, limit) {
+    let self = this;
+    return new Promise((resolve, reject) => {
+      const last = Math.min(to, self.height);
+      const end = Math.min(last + 1, from + limit);
+      const blocks = from <= last ? self.chain.slice(from, end) : [];
+      resolve({ blocks, next: end <= last ? end : null });
+    });
+  }
+
   /**
    * This method will return a Promise that will resolve with an array of Stars objects existing in the chain
    * and are belongs to the owner with the wallet address passed as parameter.
    * Remember the star should be returned decoded.
+   * Ownership follows transfers: a star belongs to its current owner, not to the original registrant.
+   * Stars are returned in their latest version, with the story of the last amendment.
+   * Each star is returned as `{ owner, star, starHash, blockHash, catalog }`, where `starHash` identifies the star,
+   * `blockHash` is the block that registered it and `catalog` the catalog object matched when it was registered
+   * (null if it matched none, missing for stars registered without a catalog). Stars are read from the owner index.
+   * `sort` orders the stars by `registered` (height of the registration, the default), `ra` or `dec`,
+   * descending with a leading `-` (ex. "-registered"). Stars whose coordinates can't be parsed come last
+   * when sorting by coordinates. An unknown sort rejects with GetStarByOwnerError.
    * @param {*} address
+   * @param {*} sort
    */
-  getStarsByWalletAddress(address) {
-    const chainWithoutGenesisBlock = this.chain.slice(1);
+  getStarsByWalletAddress(address, sort = "registered") {
+    let self = this;
     return new Promise(async (resolve, reject) => {
-      let stars = [];
       try {
-        for (let i = 0; i < chainWithoutGenesisBlock.length; i++) {
-          const block = chainWithoutGenesisBlock[i];
-          const { data } = await block.getBData();
-          if (data.owner === address) {
-            stars.push(data);
+        const descending = sort.startsWith("-");
+        const field = descending ? sort.slice(1) : sort;
+        if (!["registered", "ra", "dec"].includes(field)) {
+          throw new GetStarByOwnerError(`unknown sort "${sort}"`);
+        }
+        const sortKey = (record) => {
+          if (field === "registered") {
+            return record.height;
+          }
+          const position = self.index.positions.get(record.starHash);
+          return position ? position[field] : null;
+        };
+        const stars = self.index
+          .getStarsByOwner(address)
+          .map((record) => ({ record, key: sortKey(record) }))
+          .sort((a, b) => {
+            if (a.key === null || b.key === null) {
+              return (a.key === null) - (b.key === null);
+            }
+            return descending ? b.key - a.key : a.key - b.key;
+          })
+          .map(({ record: { owner, star, starHash, blockHash, catalog } }) => ({
+            owner,
+            star,
+            starHash,
+            blockHash,
+            catalog,
+          }));
+        resolve(stars);
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
+
+  /**
+   * This method will return a Promise that will resolve with the registered star
+   * that lies within `starTolerance` from the coordinates of the star passed as parameter,
+   * as a record `{ starHash, blockHash, height, owner, star }`, or null if the star is not registered yet.
+   * Registrations still in the mempool count too (their `blockHash` is null).
+   * It rejects with ParseCoordinatesError if the coordinates of the star are not valid.
+   * Registered stars whose coordinates cannot be parsed are skipped.
+   * @param {*} star object with `ra` and `dec` strings
+   */
+  findStarByCoordinates(star) {
+    let self = this;
+    return new Promise(async (resolve, reject) => {
+      try {
+        const position = coordinates.parseStarCoordinates(star);
+        // positions of the registered stars are parsed once by the index
+        const registered = self.index.findNear(position, self.starTolerance);
+        if (registered) {
+          return resolve(self._getStarRecord(registered, true));
+        }
+        const candidates = [];
+        self.mempool
+          .getTransactions()
+          .filter(({ transaction }) => transaction.type === undefined)
+          .forEach(({ txid, transaction }) => {
+            try {
+              candidates.push([
+                txid,
+                coordinates.parseStarCoordinates(transaction.star),
+              ]);
+            } catch (e) {
+              // a pending star with wrong coordinates can't be a duplicate
+            }
+          });
+        for (const [starHash, registeredPosition] of candidates) {
+          if (
+            coordinates.angularDistance(position, registeredPosition) <=
+            self.starTolerance
+          ) {
+            return resolve(self._getStarRecord(starHash, true));
+          }
+        }
+        resolve(null);
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
+
+  /**
+   * This method searches the registered stars, the filters can be combined:
+   * - `ra`, `dec`, `radius` cone search: stars within `radius` degrees from the position,
+   *   `ra` and `dec` are written like the coordinates of a star (ex. "16h 29m 1.0s", "68° 52' 56.9")
+   * - `q` keywords that must all appear in the story of the star (case insensitive)
+   * - `from`, `to` registration time range, in seconds since epoch (both included)
+   * Stars are sorted by distance for cone searches, in registration order otherwise.
+   * The method will return a Promise that will resolve with an array of
+   * `{ owner, star, starHash, blockHash, time }` (plus `distance` in degrees for cone searches)
+   * or reject with SearchStarsError (ParseCoordinatesError for wrong coordinates).
+   * @param {*} filters `{ ra, dec, radius, q, from, to }`
+   */
+  searchStars(filters) {
+    let self = this;
+    return new Promise((resolve, reject) => {
+      try {
+        const { ra, dec, radius, q, from, to } = filters;
+        let center = null;
+        if (ra !== undefined || dec !== undefined || radius !== undefined) {
+          center = coordinates.parseStarCoordinates({ ra, dec });
+          if (!(radius > 0 && radius <= 180)) {
+            throw new SearchStarsError(
+              "radius must be between 0 and 180 degrees"
+            );
           }
         }
+        const terms = (q || "")
+          .toLowerCase()
+          .split(/\s+/)
+          .filter((term) => term);
+        if ([from, to].some((t) => t !== undefined && !Number.isFinite(t))) {
+          throw new SearchStarsError("from and to must be timestamps");
+        }
+
+        const stars = [];
+        self.index.stars.forEach((record) => {
+          const time = parseInt(record.time);
+          if (
+            (from !== undefined && time < from) ||
+            (to !== undefined && time > to)
+          ) {
+            return;
+          }
+          if (terms.length) {
+            const story =
+              typeof record.star.story === "string"
+                ? record.star.story.toLowerCase()
+                : "";
+            if (!terms.every((term) => story.includes(term))) {
+              return;
+            }
+          }
+          const { owner, star, starHash, blockHash } = record;
+          const result = {
+            owner,
+            star,
+            starHash,
+            blockHash,
+            time: record.time,
+          };
+          if (center) {
+            const position = self.index.positions.get(starHash);
+            if (!position) {
+              return;
+            }
+            result.distance = coordinates.angularDistance(center, position);
+            if (result.distance > radius) {
+              return;
+            }
+          }
+          stars.push(result);
+        });
+        if (center) {
+          stars.sort((a, b) => a.distance - b.distance);
+        }
         resolve(stars);
       } catch (e) {
-        reject(new GetStarByOwnerError(e.message));
+        reject(
+          e instanceof SearchStarsError ||
+            e instanceof coordinates.ParseCoordinatesError
+            ? e
+            : new SearchStarsError(e.message)
+        );
       }
     });
   }
@@ -239,46 +1518,244 @@ class Blockchain {
    * Steps to validate:
    * 1. You should validate each block using `validateBlock`
    * 2. Each Block should check the with the previousBlockHash
+   * 3. Each Block should be mined with the difficulty expected for its height, at least the minimum of the node
+   * 4. Heights follow the positions, times never decrease nor are in the future, the only
+   *    genesis block is at height 0 and every other body holds well-formed transactions
+   * 5. Every transfer and amendment carries a message signed by the owner of the star
+   * 6. Every transaction fits the blocks below it: no star registered twice, no transfer or amendment
+   *    by an address that doesn't own the star at that point
+   * 7. No transaction is committed twice and no signed message is used by two transactions
+   * Each error is a ValidationErrorLog with the code of the broken rule (see `consensus.js`).
+   * When our chain is validated the result updates the verified tip used by `_validateAppend`:
+   * if errors are found no block can be appended until a validation passes again, and
+   * the errors are emitted with the `invalid` event.
+   * @param {*} chain chain to validate (default our chain), used to check chains received from peers
    */
-  validateChain() {
+  validateChain(chain = this.chain) {
     let self = this;
     let errorLog = [];
     return new Promise(async (resolve, reject) => {
-      for (let i = 0; i < self.chain.length; i++) {
+      const length = chain.length;
+      // stars of the blocks already checked, to check the transactions of the next one
+      const state = new ChainIndex();
+      for (let i = 0; i < length; i++) {
         try {
-          const block = self.chain[i];
-          const previousBlock = self.chain[i - 1];
-          const blockIsNotTampered = await block.validate();
-          if (!blockIsNotTampered) {
-            errorLog.push(
-              new ValidationErrorLog("Block is not valid", {
-                hash: block.hash,
-                height: block.height,
-              })
-            );
-          }
-
-          if (
-            block.previousBlockHash &&
-            previousBlock &&
-            block.previousBlockHash !== previousBlock.hash
-          ) {
-            errorLog.push(
-              new ValidationErrorLog("Block is wrongly linked", {
-                hash: block.hash,
-                height: block.height,
-                previousBlockHashOnBlock: block.previousBlockHash,
-                previousBlockHashOnChain: previousBlock.hash,
-              })
-            );
-          }
+          errorLog = errorLog.concat(
+            await self._validateBlockAt(chain, i, state)
+          );
+        } catch (e) {
+          return reject(e);
+        }
+        try {
+          state.addBlock(chain[i], await chain[i].getTransactions());
         } catch (e) {
-          reject(e);
+          // a body that can't be decoded has already been logged
+        }
+      }
+      if (chain === self.chain) {
+        if (errorLog.length) {
+          self.verifiedHeight = -1;
+          self.emit("invalid", errorLog);
+        } else if (self.verifiedHeight < length - 1) {
+          // blocks appended meanwhile have been checked on append
+          self.verifiedHeight = length - 1;
         }
       }
       resolve(errorLog);
     });
   }
+
+  /**
+   * private method that checks the block at position `i` of a chain against the
+   * consensus rules (see `consensus.js`), each broken rule is logged with its code
+   * @param {*} chain
+   * @param {*} i
+   * @param {*} state ChainIndex of the blocks below `i`, to check the transactions against
+   * them (optional, without it they're not checked)
+   * @returns Promise that will resolve with the list of errors
+   */
+  async _validateBlockAt(chain, i, state = null) {
+    const { CODES } = consensus;
+    const errorLog = [];
+    const block = chain[i];
+    const previousBlock = chain[i - 1];
+    const log = (code, message, data = {}) =>
+      errorLog.push(
+        new ValidationErrorLog(code, message, {
+          hash: block.hash,
+          height: block.height,
+          ...data,
+        })
+      );
+
+    const blockIsNotTampered = await block.validate();
+    if (!blockIsNotTampered) {
+      log(CODES.BLOCK_TAMPERED, "Block is not valid");
+    }
+
+    // blocks of an old chain listed in `LEGACY_CHECKPOINTS` have no proof of work to check
+    const expectedDifficulty = this.getDifficultyForHeight(i, chain);
+    if (
+      i > consensus.legacyHeight(chain) &&
+      recordedDifficulty(block) !== expectedDifficulty
+    ) {
+      log(CODES.WRONG_DIFFICULTY, "Block difficulty is wrong", {
+        difficultyOnBlock: block.difficulty,
+        expectedDifficulty,
+      });
+    }
+
+    if (block.height !== i) {
+      log(CODES.WRONG_HEIGHT, "Block height doesn't match its position", {
+        position: i,
+      });
+    }
+
+    if (i === 0 && block.previousBlockHash !== null) {
+      log(CODES.INVALID_GENESIS, "Genesis block links to a previous block", {
+        previousBlockHashOnBlock: block.previousBlockHash,
+      });
+    } else if (i > 0 && !block.previousBlockHash) {
+      log(CODES.EXTRA_GENESIS, "Block has no link to the previous block");
+    } else if (i > 0 && block.previousBlockHash !== previousBlock.hash) {
+      log(CODES.WRONG_LINK, "Block is wrongly linked", {
+        previousBlockHashOnBlock: block.previousBlockHash,
+        previousBlockHashOnChain: previousBlock.hash,
+      });
+    }
+
+    const time = parseInt(block.time);
+    const now = parseInt(helpers.getTimeStamp());
+    if (previousBlock && !(time >= parseInt(previousBlock.time))) {
+      log(CODES.TIME_DECREASING, "Block is older than the previous block", {
+        time: block.time,
+        previousTime: previousBlock.time,
+      });
+    }
+    if (!(time <= now + consensus.FUTURE_TIME_TOLERANCE)) {
+      log(CODES.TIME_IN_FUTURE, "Block time is in the future", {
+        time: block.time,
+        now: now.toString(),
+      });
+    }
+
+    let payload;
+    try {
+      payload = await block.getPayload();
+    } catch (e) {
+      log(CODES.MALFORMED_BODY, "Block body can't be decoded");
+      return errorLog;
+    }
+    if (i === 0) {
+      if (!consensus.isGenesisPayload(payload)) {
+        log(CODES.INVALID_GENESIS, "Genesis block payload is wrong");
+      }
+    } else {
+      const reasons = consensus.bodyErrors(payload);
+      if (reasons.length) {
+        log(CODES.MALFORMED_BODY, "Block body is malformed", { reasons });
+        return errorLog;
+      }
+      const unsigned = (payload.transactions || [payload.data])
+        .map((transaction, index) => {
+          const error = consensus.signatureError(transaction);
+          return error ? `transaction ${index}: ${error}` : null;
+        })
+        .filter((error) => error);
+      if (unsigned.length) {
+        log(CODES.INVALID_SIGNATURE, "Block holds unsigned transactions", {
+          reasons: unsigned,
+        });
+      }
+      if (state) {
+        const replayed = this._replayErrors(
+          payload.transactions || [payload.data],
+          state,
+          block
+        );
+        if (replayed.length) {
+          log(
+            CODES.REPLAYED_TRANSACTION,
+            "Block holds transactions already committed",
+            { reasons: replayed }
+          );
+        }
+        // duplicates have been refused since blocks have a version: an older chain may hold some
+        const allowDuplicates =
+          block.version === undefined && previousBlock.version === undefined;
+        const conflicts = this._transactionErrors(
+          payload.transactions || [payload.data],
+          state,
+          block,
+          allowDuplicates
+        )
+          .map((error, index) =>
+            error ? `transaction ${index}: ${error.message}` : null
+          )
+          .filter((error) => error);
+        if (conflicts.length) {
+          log(
+            CODES.CONFLICTING_TRANSACTION,
+            "Block holds transactions that conflict with the chain",
+            { reasons: conflicts }
+          );
+        }
+      }
+    }
+    return errorLog;
+  }
+
+  /**
+   * private method that looks for transactions of a block already committed below it: a signed
+   * transfer or amendment copied in a later block would apply again. Transactions are recognized
+   * by their txid, signed messages by their nonce.
+   * @param {*} transactions of the block
+   * @param {*} state ChainIndex of the blocks below the block
+   * @param {*} block
+   * @returns list of reasons, empty if no transaction is replayed
+   */
+  _replayErrors(transactions, state, block) {
+    // before version 2 a star is identified by its block: an old chain may repeat a registration
+    if (!(block.version >= 2)) {
+      return [];
+    }
+    // nonces of the messages used by the transactions before in the block
+    const nonces = new Map();
+    const reasons = [];
+    transactions.forEach((transaction, index) => {
+      const txid = merkle.hashTransaction(transaction);
+      const committed = state.transactions.get(txid);
+      if (committed) {
+        reasons.push(
+          `transaction ${index}: already committed in block ${committed.block.hash}`
+        );
+        return;
+      }
+      if (!transaction.message) {
+        return;
+      }
+      const { nonce } = parseMessage(transaction.message);
+      const usedBy = state.nonces.get(nonce) || nonces.get(nonce);
+      if (usedBy) {
+        reasons.push(
+          `transaction ${index}: message already used by transaction ${usedBy}`
+        );
+      }
+      nonces.set(nonce, txid);
+    });
+    return reasons;
+  }
 }
 
 module.exports.Blockchain = Blockchain;
+module.exports.LoadChainError = LoadChainError;
+module.exports.StarAlreadyRegisteredError = StarAlreadyRegisteredError;
+module.exports.StarNotInCatalogError = StarNotInCatalogError;
+module.exports.TransferStarError = TransferStarError;
+module.exports.AmendStarError = AmendStarError;
+module.exports.StarNotFoundError = StarNotFoundError;
+module.exports.TransactionNotFoundError = TransactionNotFoundError;
+module.exports.TransactionProofError = TransactionProofError;
+module.exports.ReceiveBlockError = ReceiveBlockError;
+module.exports.RollbackError = RollbackError;
+module.exports.SearchStarsError = SearchStarsError;
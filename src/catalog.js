@@ -0,0 +1,114 @@
+/**
+ *                          Star catalog
+ *  Submitted coordinates are matched against an offline catalog of real
+ *  stars, so that a registration names an object that exists. The catalog
+ *  is a CSV file with a header line and the columns
+ *  `name,ra,dec,magnitude,constellation`, where `ra` and `dec` are written
+ *  like the coordinates of the submitted stars (ex. `06h 45m 08.9s` and
+ *  `-16° 42' 58`, J2000). `catalog/bright-stars.csv` is bundled with the
+ *  brightest named stars; a larger subset of a public catalog (ex. the Yale
+ *  Bright Star Catalogue or HYG) can be exported in the same format.
+ */
+
+const fs = require("fs");
+const coordinates = require("./coordinates");
+
+const COLUMNS = ["name", "ra", "dec", "magnitude", "constellation"];
+
+class CatalogError extends Error {
+  constructor(msg) {
+    super("Star catalog cannot be loaded: " + msg);
+    this.name = "CatalogError";
+  }
+}
+
+class StarCatalog {
+  /**
+   * @param {*} entries array of `{ name, magnitude, constellation, position }`,
+   * `position` is `{ ra, dec }` in degrees
+   */
+  constructor(entries) {
+    this.entries = entries;
+  }
+
+  /**
+   * parse the content of a catalog file
+   * @param {*} content CSV string
+   * @returns StarCatalog
+   */
+  static fromCsv(content) {
+    const lines = content.split(/\r?\n/);
+    const header = lines[0].split(",").map((column) => column.trim());
+    if (COLUMNS.some((column, i) => header[i] !== column)) {
+      throw new CatalogError(`header must be ${COLUMNS.join(",")}`);
+    }
+    const entries = [];
+    lines.slice(1).forEach((line, i) => {
+      if (line.trim() === "") {
+        return;
+      }
+      const [name, ra, dec, magnitude, constellation] = line
+        .split(",")
+        .map((value) => value.trim());
+      try {
+        if (!name || !constellation || !Number.isFinite(Number(magnitude))) {
+          throw new Error("name, magnitude and constellation are required");
+        }
+        entries.push({
+          name,
+          magnitude: Number(magnitude),
+          constellation,
+          position: coordinates.parseStarCoordinates({ ra, dec }),
+        });
+      } catch (e) {
+        throw new CatalogError(`line ${i + 2}: ${e.message}`);
+      }
+    });
+    return new StarCatalog(entries);
+  }
+
+  /**
+   * read a catalog file. It's read once when the node starts, so it's synchronous.
+   * @param {*} filePath
+   * @returns StarCatalog
+   */
+  static load(filePath) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, "utf8");
+    } catch (e) {
+      throw new CatalogError(e.message);
+    }
+    return StarCatalog.fromCsv(content);
+  }
+
+  /**
+   * find the catalog object nearest to a position
+   * @param {*} position `{ ra, dec }` in degrees
+   * @param {*} maxDistance degrees, farther objects don't match
+   * @returns `{ name, magnitude, constellation, distance }` with the distance in degrees,
+   * null if no object is within `maxDistance`
+   */
+  match(position, maxDistance) {
+    let nearest = null;
+    this.entries.forEach((entry) => {
+      const distance = coordinates.angularDistance(position, entry.position);
+      if (
+        distance <= maxDistance &&
+        (!nearest || distance < nearest.distance)
+      ) {
+        nearest = { entry, distance };
+      }
+    });
+    if (!nearest) {
+      return null;
+    }
+    const { name, magnitude, constellation } = nearest.entry;
+    return { name, magnitude, constellation, distance: nearest.distance };
+  }
+}
+
+module.exports = {
+  CatalogError,
+  StarCatalog,
+};
@@ -0,0 +1,180 @@
+/**
+ *                          Proof-of-existence certificates
+ *  The node has its own key pair and signs a certificate for every star
+ *  registered in its chain: the star, its owner, the hash and height of the
+ *  block that registered it and the time of the block. The signature is a
+ *  Bitcoin message signature (`bitcoinjs-message`) made with the key of the
+ *  node, so anyone holding the public key of the node can check a
+ *  certificate offline with `verifyCertificate`, without the chain nor the
+ *  Express app.
+ *  The key is kept in a file (WIF, readable only by its owner) and created
+ *  the first time the node starts.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const bitcoin = require("bitcoinjs-lib");
+const bitcoinMessage = require("bitcoinjs-message");
+
+const CERTIFICATE_VERSION = 1;
+
+class CertificateError extends Error {
+  constructor(msg) {
+    super("An error occured with the certificate: " + msg);
+    this.name = "CertificateError";
+  }
+}
+
+/**
+ * address of a public key, the signatures of the node are verified against it
+ * @param {*} publicKey hex string
+ * @returns legacy address
+ */
+const addressOf = (publicKey) => {
+  return bitcoin.payments.p2pkh({ pubkey: Buffer.from(publicKey, "hex") })
+    .address;
+};
+
+class NodeKey {
+  /**
+   * @param {*} keyPair bitcoinjs-lib ECPair with its private key
+   */
+  constructor(keyPair) {
+    this.keyPair = keyPair;
+    this.publicKey = keyPair.publicKey.toString("hex");
+    this.address = addressOf(this.publicKey);
+  }
+
+  /**
+   * create a key with a new random key pair, not saved anywhere
+   */
+  static generate() {
+    return new NodeKey(bitcoin.ECPair.makeRandom());
+  }
+
+  /**
+   * read the key of the node from a file, creating it with a new key pair if missing.
+   * It's read once when the node starts, so it's synchronous.
+   * @param {*} filePath
+   * @returns NodeKey
+   */
+  static loadOrCreate(filePath) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, "utf8");
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        throw new CertificateError(e.message);
+      }
+      const key = NodeKey.generate();
+      const data = { publicKey: key.publicKey, wif: key.keyPair.toWIF() };
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(data, null, 2), {
+        mode: 0o600,
+        flag: "wx",
+      });
+      return key;
+    }
+    try {
+      return new NodeKey(bitcoin.ECPair.fromWIF(JSON.parse(content).wif));
+    } catch (e) {
+      throw new CertificateError(`key file ${filePath} is corrupted`);
+    }
+  }
+
+  /**
+   * sign a message with the private key of the node
+   * @param {*} message
+   * @returns base64 signature
+   */
+  sign(message) {
+    return bitcoinMessage
+      .sign(message, this.keyPair.privateKey, this.keyPair.compressed)
+      .toString("base64");
+  }
+}
+
+/**
+ * message signed by the node: the fields of the certificate, always in the same order
+ * @param {*} certificate
+ * @returns string
+ */
+const certificateMessage = (certificate) => {
+  const { version, starHash, star, owner, blockHash, height, time, issuer } =
+    certificate;
+  return JSON.stringify({
+    version,
+    starHash,
+    star,
+    owner,
+    blockHash,
+    height,
+    time,
+    issuer,
+  });
+};
+
+/**
+ * build and sign the certificate of a registered star
+ * @param {*} registration `{ starHash, star, owner, blockHash, height, time }`
+ * @param {*} nodeKey NodeKey of the node that issues the certificate
+ * @returns `{ version, starHash, star, owner, blockHash, height, time, issuer, signature }`
+ * where `issuer` is the public key of the node
+ */
+const issueCertificate = (registration, nodeKey) => {
+  const { starHash, star, owner, blockHash, height, time } = registration;
+  const certificate = {
+    version: CERTIFICATE_VERSION,
+    starHash,
+    star,
+    owner,
+    blockHash,
+    height,
+    time,
+    issuer: nodeKey.publicKey,
+  };
+  certificate.signature = nodeKey.sign(certificateMessage(certificate));
+  return certificate;
+};
+
+/**
+ * check a certificate against the public key of the node the verifier trusts
+ * Steps:
+ * 1. The certificate has been issued by the trusted key
+ * 2. The signature covers the fields of the certificate
+ * @param {*} certificate
+ * @param {*} trustedPublicKey hex public key of the node (see `GET /node/key`)
+ * @returns `{ valid, errors }` where errors lists each failed check
+ */
+const verifyCertificate = (certificate, trustedPublicKey) => {
+  const errors = [];
+  try {
+    if (certificate.version !== CERTIFICATE_VERSION) {
+      errors.push(
+        `Certificate version ${certificate.version} is not supported`
+      );
+    }
+    if (certificate.issuer !== trustedPublicKey) {
+      errors.push("Certificate has not been issued by the trusted key");
+    }
+    const valid = bitcoinMessage.verify(
+      certificateMessage(certificate),
+      addressOf(trustedPublicKey),
+      certificate.signature
+    );
+    if (!valid) {
+      errors.push("Signature doesn't match the certificate");
+    }
+  } catch (e) {
+    errors.push(`Certificate is malformed: ${e.message}`);
+  }
+  return { valid: errors.length === 0, errors };
+};
+
+module.exports = {
+  CERTIFICATE_VERSION,
+  CertificateError,
+  NodeKey,
+  issueCertificate,
+  verifyCertificate,
+};
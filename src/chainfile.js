@@ -0,0 +1,154 @@
+/**
+ *                          Chain files
+ *  A chain can be moved between machines and audited offline as a file:
+ *  - JSON: the array of blocks, the same format returned by `GET /chain`
+ *  - NDJSON: one JSON block per line, the format of `FileStorage`, which can
+ *    be written and read a block at a time
+ *  Reading a file rebuilds real `Block` instances, so they're checked with
+ *  the same `validateChain()` (and `Block.validate()`) used by the node.
+ */
+
+const fs = require("fs");
+const { once } = require("events");
+const { Block } = require("./block");
+const { ChainIndex } = require("./indexes");
+const { CODES } = require("./consensus");
+
+class ChainFileError extends Error {
+  constructor(msg) {
+    super("An error occured reading the chain file: " + msg);
+    this.name = "ChainFileError";
+  }
+}
+
+/**
+ * serialize a chain as a JSON array
+ * @param {*} chain array of blocks
+ * @returns string
+ */
+const toJson = (chain) => {
+  return JSON.stringify(chain, null, 2);
+};
+
+/**
+ * write a chain as NDJSON in a writable stream (ex. an http response or a file),
+ * a block at a time and waiting for the stream to drain
+ * @param {*} chain array of blocks
+ * @param {*} stream writable stream, left open
+ * @returns Promise resolved when every block has been written
+ */
+const writeNdjson = async (chain, stream) => {
+  for (const block of chain) {
+    if (!stream.write(JSON.stringify(block) + "\n")) {
+      await once(stream, "drain");
+    }
+  }
+};
+
+/**
+ * parse the content of a chain file, the format is detected: a JSON array or NDJSON
+ * @param {*} content string
+ * @returns array of Block instances
+ */
+const parseChain = (content) => {
+  const trimmed = content.trim();
+  let blocks;
+  if (trimmed.startsWith("[")) {
+    try {
+      blocks = JSON.parse(trimmed);
+    } catch (e) {
+      throw new ChainFileError(`not valid JSON: ${e.message}`);
+    }
+  } else {
+    blocks = trimmed
+      .split("\n")
+      .filter((line) => line.trim() !== "")
+      .map((line, i) => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          throw new ChainFileError(`line ${i + 1} is not valid JSON`);
+        }
+      });
+  }
+  if (!blocks.length) {
+    throw new ChainFileError("there are no blocks");
+  }
+  return blocks.map((block, i) => {
+    if (block === null || typeof block !== "object" || Array.isArray(block)) {
+      throw new ChainFileError(`block ${i} is not an object`);
+    }
+    return Block.fromObject(block);
+  });
+};
+
+/**
+ * read a chain file
+ * @param {*} filePath
+ * @returns Promise with array of Block instances
+ */
+const readChainFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    fs.readFile(filePath, "utf8", (err, content) => {
+      if (err) {
+        return reject(new ChainFileError(err.message));
+      }
+      try {
+        resolve(parseChain(content));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+};
+
+/**
+ * audit a chain: validation errors and number of stars currently owned by each address
+ * @param {*} blockchain Blockchain whose rules (mining settings) are used to validate the chain
+ * @param {*} chain array of Block instances
+ * @param {*} options `{ genesisHash }` hash the genesis block must have (optional)
+ * @returns Promise with `{ valid, height, errors, starsByOwner }`
+ */
+const auditChain = async (blockchain, chain, options = {}) => {
+  const errors = (await blockchain.validateChain(chain)).map((error) =>
+    error.buildObject()
+  );
+  if (options.genesisHash && chain[0].hash !== options.genesisHash) {
+    errors.unshift({
+      code: CODES.INVALID_GENESIS,
+      message: "Genesis block is not the expected one",
+      data: {
+        hash: chain[0].hash,
+        height: chain[0].height,
+        expectedHash: options.genesisHash,
+      },
+    });
+  }
+  const starsByOwner = {};
+  try {
+    const index = new ChainIndex();
+    await index.rebuild(chain);
+    index.starsByOwner.forEach((stars, owner) => {
+      if (stars.size) {
+        starsByOwner[owner] = stars.size;
+      }
+    });
+  } catch (e) {
+    // bodies that can't be decoded are already reported by `validateChain()`
+  }
+  return {
+    valid: errors.length === 0,
+    height: chain.length - 1,
+    errors,
+    starsByOwner,
+  };
+};
+
+module.exports = {
+  ChainFileError,
+  toJson,
+  writeNdjson,
+  parseChain,
+  readChainFile,
+  auditChain,
+};
@@ -0,0 +1,175 @@
+/**
+ *                          ChallengePool class
+ *  Every message that a wallet has to sign (registering, transferring or amending a star)
+ *  is a one-time challenge issued by the node. The pool keeps the pending
+ *  challenges until they are used or expire, so that a signed message:
+ *  - is bound to the address that requested it
+ *  - can be accepted only once (replays are rejected)
+ *  - is rejected once it is older than the time limit
+ *  Message format: `<ADDRESS>:<TIMESTAMP>:<KIND>[:<FIELDS>...]:<NONCE>`
+ */
+
+const crypto = require("crypto");
+const helpers = require("./helpers");
+
+class ChallengeError extends Error {
+  constructor(msg) {
+    super("Ownership challenge rejected: " + msg);
+    this.name = "ChallengeError";
+  }
+}
+
+class AddressMismatchError extends ChallengeError {
+  constructor(address, messageAddress) {
+    super(`message was issued to ${messageAddress}, not to ${address}`);
+    this.name = "AddressMismatchError";
+  }
+}
+
+class UnknownChallengeError extends ChallengeError {
+  constructor() {
+    super("message was not issued by this node");
+    this.name = "UnknownChallengeError";
+  }
+}
+
+class ChallengeExpiredError extends ChallengeError {
+  constructor() {
+    super("too much time passed since the message was requested");
+    this.name = "ChallengeExpiredError";
+  }
+}
+
+class ChallengeReplayError extends ChallengeError {
+  constructor() {
+    super("message has already been used");
+    this.name = "ChallengeReplayError";
+  }
+}
+
+/**
+ * split a challenge message in its parts. It doesn't check that the node issued it:
+ * signed messages stored in the chain are parsed to check what they authorize.
+ * @param {*} message
+ * @returns `{ address, time, kind, fields, nonce }`
+ */
+const parseMessage = (message) => {
+  const parts = String(message).split(":");
+  return {
+    address: parts[0],
+    time: parseInt(parts[1]),
+    kind: parts[2],
+    fields: parts.slice(3, -1),
+    nonce: parts[parts.length - 1],
+  };
+};
+
+class ChallengePool {
+  /**
+   * @param {*} limitTime seconds a challenge stays valid
+   */
+  constructor(limitTime) {
+    this.limitTime = limitTime;
+    // nonce => { message, address, kind, time }
+    this.pending = new Map();
+    // nonce => time of the used challenges, kept until they expire to recognize replays
+    this.used = new Map();
+  }
+
+  /**
+   * issue a new challenge for an address
+   * @param {*} address wallet address that will sign the message
+   * @param {*} kind what the message authorizes (ex. "starRegistry")
+   * @param {*} fields extra values bound to the message (ex. star hash and recipient of a transfer)
+   * @returns the message to sign
+   */
+  issue(address, kind, fields = []) {
+    this._dropExpired();
+    const time = helpers.getTimeStamp();
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const message = [address, time, kind, ...fields, nonce].join(":");
+    this.pending.set(nonce, { message, address, kind, time: parseInt(time) });
+    return message;
+  }
+
+  /**
+   * check that a message is a pending challenge of `kind` issued to `address`.
+   * It doesn't use the challenge: call `consume` once the signature has been verified.
+   * Throws a ChallengeError subclass for each reason of rejection.
+   * @param {*} message
+   * @param {*} address
+   * @param {*} kind
+   * @returns the parsed message `{ address, time, kind, fields, nonce }`
+   */
+  verify(message, address, kind) {
+    this._dropExpired();
+    const parsed = parseMessage(message);
+    if (parsed.address !== address) {
+      throw new AddressMismatchError(address, parsed.address);
+    }
+    if (this.used.has(parsed.nonce)) {
+      throw new ChallengeReplayError();
+    }
+    const challenge = this.pending.get(parsed.nonce);
+    if (
+      !challenge ||
+      challenge.message !== message ||
+      challenge.kind !== kind
+    ) {
+      // a known message older than the limit has just been dropped as expired
+      if (parsed.kind === kind && this._isExpired(parsed.time)) {
+        throw new ChallengeExpiredError();
+      }
+      throw new UnknownChallengeError();
+    }
+    return parsed;
+  }
+
+  /**
+   * mark a challenge as used, so that it can't be accepted again
+   * @param {*} message
+   */
+  consume(message) {
+    const parts = String(message).split(":");
+    const nonce = parts[parts.length - 1];
+    const challenge = this.pending.get(nonce);
+    if (challenge) {
+      this.pending.delete(nonce);
+      this.used.set(nonce, challenge.time);
+    }
+  }
+
+  /**
+   * private method that removes expired challenges from the pool
+   */
+  _dropExpired() {
+    for (const [nonce, challenge] of this.pending) {
+      if (this._isExpired(challenge.time)) {
+        this.pending.delete(nonce);
+      }
+    }
+    for (const [nonce, time] of this.used) {
+      if (this._isExpired(time)) {
+        this.used.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * private method that checks if a challenge issued at `time` is too old
+   * @param {*} time timestamp in seconds
+   */
+  _isExpired(time) {
+    return parseInt(helpers.getTimeStamp()) - time > this.limitTime;
+  }
+}
+
+module.exports = {
+  parseMessage,
+  ChallengePool,
+  ChallengeError,
+  AddressMismatchError,
+  UnknownChallengeError,
+  ChallengeExpiredError,
+  ChallengeReplayError,
+};
@@ -0,0 +1,287 @@
+/**
+ *                          Consensus rules
+ *  Besides its own hash, every block of a valid chain has to respect rules
+ *  that involve its position in the chain and its content. `validateChain()`
+ *  (see `blockchain.js`) reports each broken rule with its own code:
+ *  - `BLOCK_TAMPERED` the hash, proof of work or Merkle root doesn't match the block
+ *  - `WRONG_DIFFICULTY` the block isn't mined with the difficulty expected at its height, never
+ *    below the minimum difficulty of the node
+ *  - `WRONG_LINK` `previousBlockHash` isn't the hash of the previous block
+ *  - `EXTRA_GENESIS` a block after height 0 has no `previousBlockHash`
+ *  - `WRONG_HEIGHT` the height doesn't match the position in the chain
+ *  - `TIME_DECREASING` the block is older than the previous one
+ *  - `TIME_IN_FUTURE` the block is newer than the clock of the node
+ *  - `INVALID_GENESIS` the block at height 0 links to a block or doesn't carry the genesis payload
+ *  - `MALFORMED_BODY` the body doesn't decode to well-formed transactions
+ *  - `INVALID_SIGNATURE` a transfer or an amendment isn't signed by the owner of the star
+ *  - `CONFLICTING_TRANSACTION` a transaction doesn't fit the chain before it: a star registered
+ *    again (within the tolerance of a registered one), a transfer or an amendment of a star that
+ *    doesn't exist or by an address that doesn't own it at that point of the chain, an amendment
+ *    of a revision that is not the current one
+ *  - `REPLAYED_TRANSACTION` a transaction is already in a block below, or its signed message
+ *    has already been used by another one (same nonce)
+ */
+
+const SHA256 = require("crypto-js/sha256");
+const addresses = require("./addresses");
+const { parseMessage } = require("./challenges");
+
+const CODES = {
+  BLOCK_TAMPERED: "BLOCK_TAMPERED",
+  WRONG_DIFFICULTY: "WRONG_DIFFICULTY",
+  WRONG_LINK: "WRONG_LINK",
+  EXTRA_GENESIS: "EXTRA_GENESIS",
+  WRONG_HEIGHT: "WRONG_HEIGHT",
+  TIME_DECREASING: "TIME_DECREASING",
+  TIME_IN_FUTURE: "TIME_IN_FUTURE",
+  INVALID_GENESIS: "INVALID_GENESIS",
+  MALFORMED_BODY: "MALFORMED_BODY",
+  INVALID_SIGNATURE: "INVALID_SIGNATURE",
+  CONFLICTING_TRANSACTION: "CONFLICTING_TRANSACTION",
+  REPLAYED_TRANSACTION: "REPLAYED_TRANSACTION",
+};
+
+// highest difficulty the adjustment can reach: every digit multiplies the work by 16,
+// at 6 a block already takes minutes to mine on a single core
+const MAX_DIFFICULTY = 6;
+
+// hash of the last block written without proof of work, for each chain started before it
+// existed: the blocks of such a chain up to that one are accepted without work (see
+// `isLegacyBlock`). The list is part of the rules, never read from a chain file: a chain
+// rewritten without work would otherwise pass as an old one
+const LEGACY_CHECKPOINTS = [];
+
+// payload of the genesis block, the first block of every chain
+const GENESIS_PAYLOAD = { data: "Genesis Block" };
+
+// seconds a block time can be ahead of our clock, clocks of the peers are never exactly in sync
+const FUTURE_TIME_TOLERANCE = 60;
+
+/**
+ * check if a block has been written before proof of work: it has neither a `version` nor a `difficulty`
+ * @param {*} block
+ * @returns true for blocks of the old format
+ */
+const isLegacyBlock = (block) => {
+  return block.version === undefined && block.difficulty === undefined;
+};
+
+/**
+ * height of the last block of a chain that can be accepted without proof of work: the
+ * chain has to start with blocks of the old format up to a block of `LEGACY_CHECKPOINTS`
+ * @param {*} chain array of blocks
+ * @returns height of the checkpoint, -1 if the chain has none
+ */
+const legacyHeight = (chain) => {
+  for (let i = 0; i < chain.length && isLegacyBlock(chain[i]); i++) {
+    if (LEGACY_CHECKPOINTS.includes(chain[i].hash)) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * work done to mine a chain: every zero required in the hash multiplies by 16 the nonces
+ * to try, so a block counts `16 ^ difficulty` (1 for blocks written before proof of work)
+ * @param {*} chain array of blocks or plain objects
+ * @returns expected number of hashes computed to mine the chain
+ */
+const chainWork = (chain) => {
+  return chain.reduce(
+    (work, block) => work + Math.pow(16, (block && block.difficulty) || 0),
+    0
+  );
+};
+
+const isNonEmptyString = (value) => typeof value === "string" && value !== "";
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * check the shape of a transaction: a registration `{ owner, star, catalog }` (`catalog` is optional), a
+ * transfer `{ type: "transfer", starHash, from, to, message, signature }` or an
+ * amendment `{ type: "amendment", starHash, blockHash, revision, owner, story, message, signature }`
+ * @param {*} transaction
+ * @returns the reason why the transaction is malformed, null if it's well-formed
+ */
+const transactionError = (transaction) => {
+  if (!isObject(transaction)) {
+    return "transaction is not an object";
+  }
+  if (transaction.type === "transfer") {
+    const missing = ["starHash", "from", "to", "message", "signature"].filter(
+      (field) => !isNonEmptyString(transaction[field])
+    );
+    return missing.length ? `transfer is missing ${missing.join(", ")}` : null;
+  }
+  if (transaction.type === "amendment") {
+    const missing = [
+      "starHash",
+      "blockHash",
+      "owner",
+      "message",
+      "signature",
+    ].filter((field) => !isNonEmptyString(transaction[field]));
+    if (typeof transaction.story !== "string") {
+      missing.push("story");
+    }
+    if (!Number.isInteger(transaction.revision) || transaction.revision < 0) {
+      missing.push("revision");
+    }
+    return missing.length ? `amendment is missing ${missing.join(", ")}` : null;
+  }
+  if (transaction.type !== undefined) {
+    return `unknown transaction type "${transaction.type}"`;
+  }
+  if (!isNonEmptyString(transaction.owner)) {
+    return "registration is missing the owner";
+  }
+  if (
+    !isObject(transaction.star) ||
+    !isNonEmptyString(transaction.star.dec) ||
+    !isNonEmptyString(transaction.star.ra)
+  ) {
+    return "registration is missing the star coordinates";
+  }
+  if (
+    transaction.catalog !== undefined &&
+    transaction.catalog !== null &&
+    !isObject(transaction.catalog)
+  ) {
+    return "registration catalog annotation is not an object";
+  }
+  return null;
+};
+
+/**
+ * what a transfer or an amendment must be authorized by: the address that signs it and
+ * the fields of its `starTransfer` or `starAmendment` message (see `challenges.js`).
+ * An amendment message carries the revision it replaces and the SHA256 of the story, not the story.
+ * @param {*} transaction
+ * @returns `{ signer, kind, fields }`, null for registrations
+ */
+const expectedMessage = (transaction) => {
+  if (transaction.type === "transfer") {
+    return {
+      signer: transaction.from,
+      kind: "starTransfer",
+      fields: [transaction.starHash, transaction.to],
+    };
+  }
+  if (transaction.type === "amendment") {
+    return {
+      signer: transaction.owner,
+      kind: "starAmendment",
+      fields: [
+        transaction.starHash,
+        String(transaction.revision),
+        SHA256(transaction.story).toString(),
+      ],
+    };
+  }
+  return null;
+};
+
+/**
+ * check that a well-formed transfer or amendment carries the signed message that authorizes it:
+ * a message of the owner for this star and this recipient (or this story), signed by the owner.
+ * Blocks of other nodes are checked with it, the node that mined them can't be trusted
+ * to have verified the signature.
+ * @param {*} transaction well-formed transaction (see `transactionError`)
+ * @returns the reason why the transaction is not authorized, null if it is (or doesn't need to be)
+ */
+const signatureError = (transaction) => {
+  const expected = expectedMessage(transaction);
+  if (!expected) {
+    return null;
+  }
+  const { address, kind, fields } = parseMessage(transaction.message);
+  if (
+    address !== expected.signer ||
+    kind !== expected.kind ||
+    fields.join(":") !== expected.fields.join(":")
+  ) {
+    return `${transaction.type} message doesn't match the ${transaction.type}`;
+  }
+  try {
+    if (
+      !addresses.verifySignature(
+        transaction.message,
+        expected.signer,
+        transaction.signature
+      )
+    ) {
+      return `${transaction.type} is not signed by the owner`;
+    }
+  } catch (e) {
+    return `${transaction.type} signer is not valid: ${e.message}`;
+  }
+  return null;
+};
+
+/**
+ * check the decoded body of a block that is not the genesis: either a list of
+ * transactions (`{ transactions }`), each one once, or a single one (`{ data }`, legacy blocks)
+ * and nothing else
+ * @param {*} payload body of the block parsed from JSON
+ * @returns list of reasons why the body is malformed, empty if it's well-formed
+ */
+const bodyErrors = (payload) => {
+  if (!isObject(payload)) {
+    return ["body is not an object"];
+  }
+  // since version 3 the body is committed only through its transactions,
+  // anything else in it would escape the hash
+  const keys = Object.keys(payload);
+  if (keys.length !== 1 || !["transactions", "data"].includes(keys[0])) {
+    return [
+      `body must hold only transactions or data, found ${keys.join(", ")}`,
+    ];
+  }
+  if (payload.transactions === undefined) {
+    const error = transactionError(payload.data);
+    return error ? [error] : [];
+  }
+  if (!Array.isArray(payload.transactions) || !payload.transactions.length) {
+    return ["body has no transactions"];
+  }
+  const serialized = payload.transactions.map((transaction) =>
+    JSON.stringify(transaction)
+  );
+  return payload.transactions
+    .map((transaction, i) => {
+      const first = serialized.indexOf(serialized[i]);
+      if (first !== i) {
+        return `transaction ${i} repeats transaction ${first}`;
+      }
+      const error = transactionError(transaction);
+      return error ? `transaction ${i}: ${error}` : null;
+    })
+    .filter((error) => error);
+};
+
+/**
+ * check that the decoded body is the genesis payload
+ * @param {*} payload body of the block parsed from JSON
+ * @returns true if it's the genesis payload
+ */
+const isGenesisPayload = (payload) => {
+  return JSON.stringify(payload) === JSON.stringify(GENESIS_PAYLOAD);
+};
+
+module.exports = {
+  CODES,
+  MAX_DIFFICULTY,
+  LEGACY_CHECKPOINTS,
+  GENESIS_PAYLOAD,
+  FUTURE_TIME_TOLERANCE,
+  isLegacyBlock,
+  legacyHeight,
+  chainWork,
+  transactionError,
+  signatureError,
+  bodyErrors,
+  isGenesisPayload,
+};
@@ -0,0 +1,117 @@
+/**
+ *                          Star coordinates
+ *  Stars are submitted with the equatorial coordinates written as strings,
+ *  ex. `dec: "68° 52' 56.9"` and `ra: "16h 29m 1.0s"`. These helpers parse
+ *  them into normalized numbers (degrees) so that stars can be compared
+ *  no matter how the strings have been formatted.
+ */
+
+class ParseCoordinatesError extends Error {
+  constructor(msg) {
+    super("Star coordinates are not valid: " + msg);
+    this.name = "ParseCoordinatesError";
+  }
+}
+
+// digits, sign, spaces and the usual unit symbols for degrees, hours, minutes and seconds
+const ALLOWED_CHARS = /^[+-]?[\d.\s°'"′″:dhms]+$/;
+const NUMBER = /\d+(?:\.\d+)?/g;
+
+/**
+ * split a sexagesimal string in its sign and its (up to three) components
+ * @param {*} value string like "68° 52' 56.9" or "16h 29m 1.0s"
+ * @param {*} field name of the field, used in error messages
+ * @returns `{ sign, parts }`
+ */
+const splitSexagesimal = (value, field) => {
+  if (typeof value !== "string" || !ALLOWED_CHARS.test(value.trim())) {
+    throw new ParseCoordinatesError(`${field} "${value}" has a wrong format`);
+  }
+  const trimmed = value.trim();
+  const parts = (trimmed.match(NUMBER) || []).map(parseFloat);
+  if (parts.length === 0 || parts.length > 3) {
+    throw new ParseCoordinatesError(`${field} "${value}" has a wrong format`);
+  }
+  if (parts.slice(1).some((p) => p >= 60)) {
+    throw new ParseCoordinatesError(
+      `${field} "${value}" minutes and seconds must be less then 60`
+    );
+  }
+  return { sign: trimmed.startsWith("-") ? -1 : 1, parts };
+};
+
+/**
+ * sum sexagesimal components into a decimal number
+ * @param {*} parts [units, minutes, seconds]
+ * @returns decimal value
+ */
+const toDecimal = ([units, minutes = 0, seconds = 0]) => {
+  return units + minutes / 60 + seconds / 3600;
+};
+
+/**
+ * parse a declination in degrees, minutes and seconds
+ * @param {*} dec string like "68° 52' 56.9" or "-12 30 00"
+ * @returns declination in degrees, between -90 and 90
+ */
+const parseDec = (dec) => {
+  const { sign, parts } = splitSexagesimal(dec, "dec");
+  const degrees = sign * toDecimal(parts);
+  if (Math.abs(degrees) > 90) {
+    throw new ParseCoordinatesError(`dec "${dec}" is out of range`);
+  }
+  return degrees;
+};
+
+/**
+ * parse a right ascension in hours, minutes and seconds
+ * @param {*} ra string like "16h 29m 1.0s"
+ * @returns right ascension in degrees, between 0 (included) and 360 (excluded)
+ */
+const parseRa = (ra) => {
+  const { sign, parts } = splitSexagesimal(ra, "ra");
+  const hours = toDecimal(parts);
+  if (sign < 0 || hours >= 24) {
+    throw new ParseCoordinatesError(`ra "${ra}" is out of range`);
+  }
+  return hours * 15;
+};
+
+/**
+ * parse the coordinates of a star object
+ * @param {*} star object with `ra` and `dec` strings
+ * @returns `{ ra, dec }` in degrees
+ */
+const parseStarCoordinates = (star) => {
+  if (!star || typeof star !== "object") {
+    throw new ParseCoordinatesError("star object is missing");
+  }
+  return { ra: parseRa(star.ra), dec: parseDec(star.dec) };
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * angular distance between two points of the sky (haversine formula)
+ * @param {*} a `{ ra, dec }` in degrees
+ * @param {*} b `{ ra, dec }` in degrees
+ * @returns distance in degrees
+ */
+const angularDistance = (a, b) => {
+  const deltaDec = toRadians(b.dec - a.dec);
+  const deltaRa = toRadians(b.ra - a.ra);
+  const h =
+    Math.sin(deltaDec / 2) ** 2 +
+    Math.cos(toRadians(a.dec)) *
+      Math.cos(toRadians(b.dec)) *
+      Math.sin(deltaRa / 2) ** 2;
+  return (2 * Math.asin(Math.min(1, Math.sqrt(h))) * 180) / Math.PI;
+};
+
+module.exports = {
+  ParseCoordinatesError,
+  parseDec,
+  parseRa,
+  parseStarCoordinates,
+  angularDistance,
+};
@@ -0,0 +1,170 @@
+/**
+ *                          Live block feed
+ *  Dashboards don't need to poll the node to notice new stars: `GET /feed`
+ *  keeps the response open and pushes Server-Sent Events as they happen:
+ *  - `block` every block appended to the chain, with its decoded transactions,
+ *    the event id is the height of the block
+ *  - `invalid` the errors found by a validation of the chain (see `validateChain()`)
+ *  - `replaced` the chain has been replaced by one with more work, with the new height
+ *  A client can follow a single owner (only the blocks with transactions that
+ *  involve the address are sent) and resume from a height after reconnecting:
+ *  the blocks already in the chain are sent first, then the new ones.
+ */
+
+const merkle = require("./merkle");
+
+// ms between two comments that keep idle connections open through proxies
+const HEARTBEAT_INTERVAL = 30000;
+
+/**
+ * check if an address is part of a transaction: the owner of a registration or
+ * an amendment, the sender or the recipient of a transfer
+ * @param {*} transaction
+ * @param {*} owner address
+ * @returns true if the transaction involves the address
+ */
+const involves = (transaction, owner) => {
+  return [transaction.owner, transaction.from, transaction.to].includes(owner);
+};
+
+/**
+ * data of the `block` event: the header of the block and its transactions `{ txid, transaction }`
+ * @param {*} block
+ * @param {*} owner only keep the transactions that involve this address (optional)
+ * @returns Promise with the data, null if no transaction involves the owner
+ */
+const blockEvent = async (block, owner = null) => {
+  const transactions = (await block.getTransactions())
+    .filter((transaction) => !owner || involves(transaction, owner))
+    .map((transaction) => ({
+      txid: merkle.hashTransaction(transaction),
+      transaction,
+    }));
+  if (owner && !transactions.length) {
+    return null;
+  }
+  return {
+    hash: block.hash,
+    height: block.height,
+    time: block.time,
+    previousBlockHash: block.previousBlockHash,
+    transactions,
+  };
+};
+
+class FeedSubscription {
+  /**
+   * start streaming the events of a blockchain
+   * @param {*} blockchain
+   * @param {*} stream writable stream (the http response), its headers already sent: the
+   * subscription is closed when the stream closes or fails
+   * @param {*} options `{ owner, from }` address to follow and first height to send,
+   * without `from` only the blocks appended from now on are sent
+   */
+  constructor(blockchain, stream, options = {}) {
+    this.blockchain = blockchain;
+    this.stream = stream;
+    this.owner = options.owner || null;
+    this.closed = false;
+    // events are written one at a time, in the order they happened
+    this.queue = Promise.resolve();
+
+    this.onBlock = (block) =>
+      this._push(async () => {
+        const data = await blockEvent(block, this.owner);
+        if (data) {
+          await this._write("block", data, block.height);
+        }
+      });
+    this.onInvalid = (errors) =>
+      this._push(() =>
+        this._write("invalid", {
+          errors: errors.map((error) => error.buildObject()),
+        })
+      );
+    this.onReplaced = (chain) =>
+      this._push(() => this._write("replaced", { height: chain.length - 1 }));
+
+    // the blocks to resume from are read in the same tick the listeners are added,
+    // so no block is missed or sent twice
+    if (options.from !== undefined && options.from !== null) {
+      blockchain.chain.slice(options.from).forEach(this.onBlock);
+    }
+    blockchain.on("block", this.onBlock);
+    blockchain.on("invalid", this.onInvalid);
+    blockchain.on("replaced", this.onReplaced);
+    this.heartbeat = setInterval(
+      () => this._push(() => this._writeRaw(": heartbeat\n\n")),
+      HEARTBEAT_INTERVAL
+    );
+    this.onClose = () => this.close();
+    stream.on("close", this.onClose);
+    stream.on("error", this.onClose);
+  }
+
+  /**
+   * stop streaming, called when the client disconnects (it can be called more than once)
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearInterval(this.heartbeat);
+    this.stream.removeListener("close", this.onClose);
+    this.stream.removeListener("error", this.onClose);
+    this.blockchain.removeListener("block", this.onBlock);
+    this.blockchain.removeListener("invalid", this.onInvalid);
+    this.blockchain.removeListener("replaced", this.onReplaced);
+  }
+
+  /**
+   * private method that queues the writing of an event after the previous ones
+   * @param {*} task async function that writes the event
+   */
+  _push(task) {
+    this.queue = this.queue.then(task).catch(() => {
+      // a block that can't be decoded is skipped, the feed goes on
+    });
+  }
+
+  /**
+   * private method that writes an event in the Server-Sent Events format
+   * @param {*} event name of the event
+   * @param {*} data object sent as JSON
+   * @param {*} id id of the event, sent back by the client as `Last-Event-ID` when it reconnects
+   */
+  _write(event, data, id) {
+    const lines = id === undefined ? [] : [`id: ${id}`];
+    lines.push(`event: ${event}`, `data: ${JSON.stringify(data)}`);
+    return this._writeRaw(lines.join("\n") + "\n\n");
+  }
+
+  /**
+   * private method that writes in the stream, waiting for it to drain. A client that
+   * disconnects never drains it: the wait also ends when the stream closes or fails,
+   * otherwise the queue of events would hang with the subscription
+   * @param {*} text
+   */
+  _writeRaw(text) {
+    if (this.closed || this.stream.write(text)) {
+      return Promise.resolve();
+    }
+    const stream = this.stream;
+    return new Promise((resolve) => {
+      const done = () => {
+        ["drain", "close", "error"].forEach((event) =>
+          stream.removeListener(event, done)
+        );
+        resolve();
+      };
+      ["drain", "close", "error"].forEach((event) => stream.on(event, done));
+    });
+  }
+}
+
+module.exports = {
+  involves,
+  blockEvent,
+  FeedSubscription,
+};
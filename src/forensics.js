@@ -0,0 +1,106 @@
+/**
+ *                          Tamper forensics
+ *  `validateChain()` lists every broken rule, but once a block has been
+ *  tampered with the errors cascade and it's hard to tell where it started.
+ *  The forensic report points at the first divergent block: the codes of
+ *  the rules it breaks, the fields that no longer match and how many blocks
+ *  after it depend on it (they'd be discarded by a rollback, see
+ *  `Blockchain.truncateChain`). When the storage still holds a copy of the
+ *  block, the fields that differ from that copy are listed too: that's how a
+ *  block changed in memory is told apart from one changed on disk.
+ */
+
+const { CODES } = require("./consensus");
+
+// field of the block behind each consensus rule, `BLOCK_TAMPERED` is detailed by the block itself
+const FIELDS_BY_CODE = {
+  [CODES.WRONG_DIFFICULTY]: ["difficulty"],
+  [CODES.WRONG_LINK]: ["previousBlockHash"],
+  [CODES.EXTRA_GENESIS]: ["previousBlockHash"],
+  [CODES.WRONG_HEIGHT]: ["height"],
+  [CODES.TIME_DECREASING]: ["time"],
+  [CODES.TIME_IN_FUTURE]: ["time"],
+  [CODES.MALFORMED_BODY]: ["body"],
+  [CODES.INVALID_SIGNATURE]: ["body"],
+  [CODES.CONFLICTING_TRANSACTION]: ["body"],
+  [CODES.REPLAYED_TRANSACTION]: ["body"],
+};
+
+/**
+ * fields whose value differs between a block and its stored copy
+ * @param {*} block
+ * @param {*} stored plain object loaded from storage
+ * @returns array of `{ field, onBlock, stored }`
+ */
+const diffStoredCopy = (block, stored) => {
+  const fields = new Set(Object.keys(block).concat(Object.keys(stored)));
+  return Array.from(fields)
+    .filter(
+      (field) => JSON.stringify(block[field]) !== JSON.stringify(stored[field])
+    )
+    .map((field) => ({ field, onBlock: block[field], stored: stored[field] }));
+};
+
+/**
+ * build the forensic report of a chain
+ * @param {*} chain array of blocks
+ * @param {*} errors ValidationErrorLog list returned by `validateChain(chain)`
+ * @param {*} stored array of plain objects loaded from storage
+ * @returns Promise with `{ valid, height, lastValidHeight, firstDivergentBlock, dependentBlocks, errors }`
+ */
+const buildReport = async (chain, errors, stored) => {
+  const report = {
+    valid: errors.length === 0,
+    height: chain.length - 1,
+    lastValidHeight: chain.length - 1,
+    firstDivergentBlock: null,
+    dependentBlocks: 0,
+    errors,
+  };
+  if (report.valid) {
+    return report;
+  }
+  // errors carry the height written on the block, which can be tampered too: find the position
+  const position = chain.findIndex((block) =>
+    errors.some((error) => error.data.hash === block.hash)
+  );
+  const block = chain[position];
+  const blockErrors = errors.filter((error) => error.data.hash === block.hash);
+  const codes = blockErrors.map((error) => error.code);
+
+  let mismatches = [];
+  if (codes.includes(CODES.BLOCK_TAMPERED)) {
+    mismatches = await block.getMismatchedFields();
+  }
+  codes.forEach((code) =>
+    (FIELDS_BY_CODE[code] || []).forEach((field) =>
+      mismatches.push({ field, rule: code })
+    )
+  );
+  if (codes.includes(CODES.INVALID_GENESIS)) {
+    mismatches.push({
+      field: block.previousBlockHash === null ? "body" : "previousBlockHash",
+      rule: CODES.INVALID_GENESIS,
+    });
+  }
+
+  const storedCopy = stored[position];
+  report.lastValidHeight = position - 1;
+  report.dependentBlocks = chain.length - 1 - position;
+  report.firstDivergentBlock = {
+    position,
+    height: block.height,
+    hash: block.hash,
+    codes,
+    mismatchedFields: mismatches,
+    storedCopy: storedCopy
+      ? { differs: diffStoredCopy(block, storedCopy) }
+      : null,
+  };
+  return report;
+};
+
+module.exports = {
+  buildReport,
+  diffStoredCopy,
+};
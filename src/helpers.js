@@ -6,7 +6,29 @@ const minuteToSeconds = (minutes) => {
   return minutes * 60;
 };
 
+const arcsecondsToDegrees = (arcseconds) => {
+  return arcseconds / 3600;
+};
+
+/**
+ * slice a page out of a list
+ * @param {*} items
+ * @param {*} page number of the page, starting at 1
+ * @param {*} limit items per page
+ * @returns `{ total, page, limit, items }`
+ */
+const paginate = (items, page, limit) => {
+  return {
+    total: items.length,
+    page,
+    limit,
+    items: items.slice((page - 1) * limit, page * limit),
+  };
+};
+
 module.exports = {
   getTimeStamp,
   minuteToSeconds,
+  arcsecondsToDegrees,
+  paginate,
 };
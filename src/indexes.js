@@ -0,0 +1,250 @@
+/**
+ *                          ChainIndex class
+ *  Lookups by hash, by transaction and by owner would otherwise scan and
+ *  decode the whole chain on every request. The index is updated with every
+ *  block appended to the chain (see `Blockchain._addBlock`) and rebuilt when
+ *  a chain is loaded or replaced, so these lookups don't depend on the chain length:
+ *  - `blocksByHash` hash => block
+ *  - `transactions` txid => `{ block, index }` position of the transaction
+ *  - `stars` starHash => star record (current owner, latest version of the star, ownership
+ *    history and revisions of the story)
+ *  - `starsByOwner` address => Set of starHash currently owned
+ *  - `positions` starHash => `{ ra, dec }` in degrees, for the stars whose coordinates can be parsed
+ *  - `nonces` nonce => txid of the transfer or amendment whose signed message carries it
+ *  - `bands` the same positions grouped by declination band, so a duplicate star is looked
+ *    for among the stars around its declination only (see `findNear`)
+ *  Lookups by height don't need an index: height is the offset in the chain array.
+ */
+
+const merkle = require("./merkle");
+const coordinates = require("./coordinates");
+const { parseMessage } = require("./challenges");
+
+// width in degrees of the declination bands of the position index
+const BAND_WIDTH = 1;
+
+/**
+ * apply a transaction to a Map of star records. Registrations are `{ owner, star }`
+ * transactions, transfers are `{ type: "transfer" }` ones and amendments of the story
+ * `{ type: "amendment" }` ones: transfers and amendments only count when they are signed
+ * by the owner of the star at that point of the chain (an amendment also replaces the current
+ * revision of the story, not an older one), and a star is registered only once.
+ * The record keeps the latest version of the star in `star`, the registered one stays
+ * the first of `revisions`.
+ * @param {*} records Map starHash => record
+ * @param {*} transaction registration, transfer or amendment
+ * @param {*} entry where the transaction is `{ starHash, txid, blockHash, height, time }`
+ * @returns `{ record, previousOwner }` the record changed (null if the transaction has
+ * been ignored) and its owner before the transaction (null for registrations and amendments)
+ */
+const applyTransaction = (records, transaction, entry) => {
+  const { starHash, ...location } = entry;
+  if (transaction.type === "amendment") {
+    const record = records.get(transaction.starHash);
+    if (
+      !record ||
+      record.owner !== transaction.owner ||
+      record.blockHash !== transaction.blockHash ||
+      record.revisions.length - 1 !== transaction.revision
+    ) {
+      return { record: null, previousOwner: null };
+    }
+    record.star = { ...record.star, story: transaction.story };
+    record.revisions.push({
+      revision: record.revisions.length,
+      story: transaction.story,
+      owner: transaction.owner,
+      ...location,
+    });
+    return { record, previousOwner: null };
+  }
+  if (transaction.type === "transfer") {
+    const record = records.get(transaction.starHash);
+    if (!record || record.owner !== transaction.from) {
+      return { record: null, previousOwner: null };
+    }
+    record.owner = transaction.to;
+    record.history.push({
+      type: "transfer",
+      from: transaction.from,
+      owner: transaction.to,
+      ...location,
+    });
+    return { record, previousOwner: transaction.from };
+  }
+  if (records.has(starHash)) {
+    return { record: null, previousOwner: null };
+  }
+  const record = {
+    starHash,
+    blockHash: entry.blockHash,
+    height: entry.height,
+    time: entry.time,
+    owner: transaction.owner,
+    star: transaction.star,
+    catalog: transaction.catalog,
+    history: [{ type: "registration", owner: transaction.owner, ...location }],
+    revisions: [
+      {
+        revision: 0,
+        story: transaction.star.story,
+        owner: transaction.owner,
+        ...location,
+      },
+    ],
+  };
+  records.set(starHash, record);
+  return { record, previousOwner: null };
+};
+
+/**
+ * copy of a star record, so that pending transactions can be applied to it
+ * without touching the index
+ * @param {*} record
+ * @returns new record
+ */
+const cloneRecord = (record) => {
+  return {
+    ...record,
+    history: record.history.slice(),
+    revisions: record.revisions.slice(),
+  };
+};
+
+class ChainIndex {
+  constructor() {
+    this.clear();
+  }
+
+  /**
+   * empty every index
+   */
+  clear() {
+    this.blocksByHash = new Map();
+    this.transactions = new Map();
+    this.stars = new Map();
+    this.starsByOwner = new Map();
+    this.positions = new Map();
+    this.nonces = new Map();
+    this.bands = new Map();
+  }
+
+  /**
+   * index a block appended to the chain
+   * A star is identified by the hash of its registration transaction, or by the hash of the
+   * block for legacy blocks (before version 2) that carry a single `data` transaction.
+   * @param {*} block
+   * @param {*} transactions the transactions of the block (`block.getTransactions()`)
+   */
+  addBlock(block, transactions) {
+    this.blocksByHash.set(block.hash, block);
+    const legacy = !(block.version >= 2);
+    transactions.forEach((transaction, index) => {
+      const txid = merkle.hashTransaction(transaction);
+      this.transactions.set(txid, { block, index });
+      if (transaction.message) {
+        this.nonces.set(parseMessage(transaction.message).nonce, txid);
+      }
+      const { record, previousOwner } = applyTransaction(
+        this.stars,
+        transaction,
+        {
+          starHash: legacy ? block.hash : txid,
+          txid,
+          blockHash: block.hash,
+          height: block.height,
+          time: block.time,
+        }
+      );
+      if (record) {
+        if (previousOwner) {
+          this._ownedBy(previousOwner).delete(record.starHash);
+        }
+        this._ownedBy(record.owner).add(record.starHash);
+        if (transaction.type === undefined) {
+          this._indexPosition(record);
+        }
+      }
+    });
+  }
+
+  /**
+   * rebuild every index from a chain
+   * @param {*} chain array of blocks
+   * @returns Promise resolved when the chain is indexed
+   */
+  async rebuild(chain) {
+    const transactionsByBlock = await Promise.all(
+      chain.map((block) => block.getTransactions())
+    );
+    this.clear();
+    chain.forEach((block, i) => this.addBlock(block, transactionsByBlock[i]));
+  }
+
+  /**
+   * Utility method that return the records of the stars currently owned by an address
+   * @param {*} address
+   */
+  getStarsByOwner(address) {
+    return Array.from(this.starsByOwner.get(address) || []).map((starHash) =>
+      this.stars.get(starHash)
+    );
+  }
+
+  /**
+   * find a registered star within `tolerance` from a position, comparing only the stars
+   * of the declination bands the tolerance reaches
+   * @param {*} position `{ ra, dec }` in degrees
+   * @param {*} tolerance distance in degrees
+   * @returns starHash of the first star found, null if there is none
+   */
+  findNear(position, tolerance) {
+    const first = Math.floor((position.dec - tolerance) / BAND_WIDTH);
+    const last = Math.floor((position.dec + tolerance) / BAND_WIDTH);
+    for (let band = first; band <= last; band++) {
+      for (const [starHash, registered] of this.bands.get(band) || []) {
+        if (coordinates.angularDistance(position, registered) <= tolerance) {
+          return starHash;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * private method that parses the coordinates of a registered star once, for the
+   * searches by position. Stars registered before coordinates were checked may not parse.
+   * @param {*} record
+   */
+  _indexPosition(record) {
+    let position;
+    try {
+      position = coordinates.parseStarCoordinates(record.star);
+    } catch (e) {
+      return;
+    }
+    this.positions.set(record.starHash, position);
+    const band = Math.floor(position.dec / BAND_WIDTH);
+    if (!this.bands.has(band)) {
+      this.bands.set(band, new Map());
+    }
+    this.bands.get(band).set(record.starHash, position);
+  }
+
+  /**
+   * private method that returns the Set of stars of an owner, creating it if missing
+   * @param {*} address
+   */
+  _ownedBy(address) {
+    if (!this.starsByOwner.has(address)) {
+      this.starsByOwner.set(address, new Set());
+    }
+    return this.starsByOwner.get(address);
+  }
+}
+
+module.exports = {
+  ChainIndex,
+  applyTransaction,
+  cloneRecord,
+};
@@ -0,0 +1,61 @@
+/**
+ *                          Mempool class
+ *  Transactions accepted by the node (star registrations, transfers and amendments) wait
+ *  in the mempool until they are committed in a block. Whoever submitted a
+ *  transaction gets a Promise that resolves with the block that contains it,
+ *  or rejects if that block couldn't be added to the chain.
+ */
+
+const merkle = require("./merkle");
+
+class Mempool {
+  constructor() {
+    // txid => { txid, transaction, resolve, reject }, in arrival order
+    this.entries = new Map();
+  }
+
+  /**
+   * number of transactions waiting to be committed
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * add a transaction to the pool
+   * @param {*} transaction
+   * @returns `{ txid, committed }` where `committed` is the Promise of the block
+   */
+  add(transaction) {
+    const txid = merkle.hashTransaction(transaction);
+    let entry;
+    const committed = new Promise((resolve, reject) => {
+      entry = { txid, transaction, resolve, reject };
+    });
+    this.entries.set(txid, entry);
+    return { txid, committed };
+  }
+
+  /**
+   * remove the oldest transactions from the pool, to be committed in a block
+   * @param {*} limit max number of transactions (default all)
+   * @returns array of entries
+   */
+  take(limit = Infinity) {
+    const taken = Array.from(this.entries.values()).slice(0, limit);
+    taken.forEach((entry) => this.entries.delete(entry.txid));
+    return taken;
+  }
+
+  /**
+   * Utility method that return the pending transactions with their ids
+   */
+  getTransactions() {
+    return Array.from(this.entries.values()).map(({ txid, transaction }) => ({
+      txid,
+      transaction,
+    }));
+  }
+}
+
+module.exports.Mempool = Mempool;
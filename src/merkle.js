@@ -0,0 +1,126 @@
+/**
+ *                          Merkle tree helpers
+ *  A block carries several transactions (star registrations and transfers).
+ *  Each transaction is identified by its hash (SHA256 of its JSON) and the
+ *  block header commits to all of them with the root of a Merkle tree built
+ *  over those hashes. When a level has an odd number of nodes the last one
+ *  is paired with itself, like in Bitcoin. As in Bitcoin (CVE-2012-2459)
+ *  this gives `[a, b, c]` and `[a, b, c, c]` the same root, so a tree with
+ *  repeated leaves is never valid (see `hasRepeatedLeaves`).
+ *  An inclusion proof is the list of sibling hashes met walking from a leaf
+ *  up to the root, so anyone holding the root can check that a transaction
+ *  belongs to a block without the other transactions.
+ */
+
+const SHA256 = require("crypto-js/sha256");
+
+/**
+ * hash of a transaction, used as its id and as leaf of the tree
+ * @param {*} transaction
+ * @returns hex string
+ */
+const hashTransaction = (transaction) => {
+  return SHA256(JSON.stringify(transaction)).toString();
+};
+
+/**
+ * hash of a node of the tree from its two children
+ * @param {*} left hex string
+ * @param {*} right hex string
+ * @returns hex string
+ */
+const hashPair = (left, right) => {
+  return SHA256(left + right).toString();
+};
+
+/**
+ * build the next level of the tree
+ * @param {*} level array of hex strings
+ * @returns array of hex strings, half the length (rounded up)
+ */
+const nextLevel = (level) => {
+  const next = [];
+  for (let i = 0; i < level.length; i += 2) {
+    const left = level[i];
+    const right = i + 1 < level.length ? level[i + 1] : left;
+    next.push(hashPair(left, right));
+  }
+  return next;
+};
+
+/**
+ * root of the Merkle tree built over the leaves
+ * @param {*} leaves array of transaction hashes
+ * @returns hex string, null if there are no leaves
+ */
+const merkleRoot = (leaves) => {
+  if (!leaves.length) {
+    return null;
+  }
+  let level = leaves;
+  while (level.length > 1) {
+    level = nextLevel(level);
+  }
+  return level[0];
+};
+
+/**
+ * check if a leaf appears more than once: a transaction repeated at the end of a
+ * level wouldn't change the root
+ * @param {*} leaves array of transaction hashes
+ * @returns true if some leaf is repeated
+ */
+const hasRepeatedLeaves = (leaves) => {
+  return new Set(leaves).size !== leaves.length;
+};
+
+/**
+ * inclusion path of a leaf: the sibling of each node from the leaf up to the root,
+ * with the side (`left` or `right`) it has to be concatenated
+ * @param {*} leaves array of transaction hashes
+ * @param {*} index position of the leaf
+ * @returns array of `{ hash, position }`
+ */
+const merkleProof = (leaves, index) => {
+  if (index < 0 || index >= leaves.length) {
+    throw new Error(`Leaf ${index} is out of the tree`);
+  }
+  const path = [];
+  let level = leaves;
+  let i = index;
+  while (level.length > 1) {
+    const isRight = i % 2 === 1;
+    const sibling = isRight ? level[i - 1] : level[i + 1] || level[i];
+    path.push({ hash: sibling, position: isRight ? "left" : "right" });
+    level = nextLevel(level);
+    i = Math.floor(i / 2);
+  }
+  return path;
+};
+
+/**
+ * check an inclusion path against a Merkle root
+ * @param {*} leaf hash of the transaction
+ * @param {*} path array of `{ hash, position }`
+ * @param {*} root expected Merkle root
+ * @returns true if the path leads from the leaf to the root
+ */
+const verifyMerkleProof = (leaf, path, root) => {
+  const computed = path.reduce(
+    (node, step) =>
+      step.position === "left"
+        ? hashPair(step.hash, node)
+        : hashPair(node, step.hash),
+    leaf
+  );
+  return computed === root;
+};
+
+module.exports = {
+  hashTransaction,
+  hashPair,
+  merkleRoot,
+  hasRepeatedLeaves,
+  merkleProof,
+  verifyMerkleProof,
+};
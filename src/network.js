@@ -0,0 +1,232 @@
+/**
+ *                          Network class
+ *  The Network class connects a node to other starchain nodes (peers).
+ *  It keeps the list of peers URL, broadcasts to them every block appended
+ *  to our chain and applies the most work consensus: when a peer has a chain
+ *  that starts with our genesis block, holds more work than ours and passes
+ *  `validateChain()` our chain is replaced (see `Blockchain.replaceChain`).
+ *  Peers talk with the same REST Api exposed to clients (see `BlockchainController.js`):
+ *  - `POST /chain/blocks` receive a block mined by a peer
+ *  - `GET /chain` fetch the full chain of a peer
+ *  Only the operator chooses the peers (`STARCHAIN_PEERS` or the admin endpoint
+ *  `POST /peers`): a peer is trusted to serve chains, and registering one makes
+ *  the node send requests to its url.
+ */
+
+const http = require("http");
+const { URL } = require("url");
+const consensus = require("./consensus");
+
+const REQUEST_TIMEOUT = 5000;
+
+class PeerRequestError extends Error {
+  constructor(msg) {
+    super("An error occured contacting a peer: " + msg);
+    this.name = "PeerRequestError";
+  }
+}
+
+/**
+ * send a JSON request to a peer and resolve with the parsed response body
+ * @param {*} method http method
+ * @param {*} url full url of the resource
+ * @param {*} body optional object sent as JSON
+ * @returns Promise with the parsed body
+ */
+const sendRequest = (method, url, body) => {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const request = http.request(
+      new URL(url),
+      {
+        method,
+        timeout: REQUEST_TIMEOUT,
+        headers: payload
+          ? {
+              "Content-Type": "application/json",
+              "Content-Length": Buffer.byteLength(payload),
+            }
+          : {},
+      },
+      (response) => {
+        let data = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => (data += chunk));
+        response.on("end", () => {
+          if (response.statusCode >= 400) {
+            return reject(
+              new PeerRequestError(`${method} ${url} ${response.statusCode}`)
+            );
+          }
+          try {
+            resolve(data ? JSON.parse(data) : null);
+          } catch (e) {
+            reject(new PeerRequestError(`${method} ${url} ${e.message}`));
+          }
+        });
+      }
+    );
+    request.on("timeout", () => request.destroy(new Error("timeout")));
+    request.on("error", (e) =>
+      reject(new PeerRequestError(`${method} ${url} ${e.message}`))
+    );
+    if (payload) {
+      request.write(payload);
+    }
+    request.end();
+  });
+};
+
+/**
+ * remove trailing slashes so that the same peer is never registered twice
+ * @param {*} url
+ * @returns normalized url
+ */
+const normalizeUrl = (url) => {
+  return new URL(url).toString().replace(/\/+$/, "");
+};
+
+class Network {
+  /**
+   * @param {*} blockchain instance of Blockchain class
+   * @param {*} nodeUrl public url of this node, sent with the blocks we broadcast (optional)
+   */
+  constructor(blockchain, nodeUrl = null) {
+    this.blockchain = blockchain;
+    this.nodeUrl = nodeUrl ? normalizeUrl(nodeUrl) : null;
+    this.peers = new Set();
+    // every block appended to our chain (mined or received) is relayed to peers
+    this.blockchain.on("block", (block) => this.broadcastBlock(block));
+  }
+
+  /**
+   * register a peer. We don't announce ourselves to it: registering a peer is an
+   * admin operation on every node, so each operator lists the peers of its node.
+   * The method will return a Promise that will resolve with true if the peer is new
+   * @param {*} url
+   */
+  addPeer(url) {
+    let self = this;
+    return new Promise((resolve, reject) => {
+      try {
+        const peer = normalizeUrl(url);
+        if (peer === self.nodeUrl || self.peers.has(peer)) {
+          return resolve(false);
+        }
+        self.peers.add(peer);
+        resolve(true);
+      } catch (e) {
+        reject(new PeerRequestError(e.message));
+      }
+    });
+  }
+
+  /**
+   * Utility method that return the list of registered peers
+   */
+  getPeers() {
+    return Array.from(this.peers);
+  }
+
+  /**
+   * send a block to every peer. A peer that cannot be reached is
+   * only logged: broadcast is best effort and consensus fixes the rest
+   * @param {*} block
+   */
+  broadcastBlock(block) {
+    const body = { block, peer: this.nodeUrl };
+    return Promise.all(
+      this.getPeers().map((peer) =>
+        sendRequest("POST", `${peer}/chain/blocks`, body).catch((e) =>
+          console.error(e.message)
+        )
+      )
+    );
+  }
+
+  /**
+   * handle a block broadcasted by a peer. If it doesn't fit on our chain the
+   * peer may be ahead of us, so we run consensus against it (or against every
+   * peer when we don't know who sent it).
+   * Anyone can post a block and name any url as sender: we only fetch chains from
+   * registered peers, an unknown sender falls back to every peer.
+   * The method will return a Promise that will resolve with the outcome of `receiveBlock`
+   * @param {*} block plain object with block fields
+   * @param {*} peer url of the sender (optional)
+   */
+  async receiveBlock(block, peer = null) {
+    const outcome = await this.blockchain.receiveBlock(block);
+    if (outcome === "conflict") {
+      const sender = this._registeredPeer(peer);
+      await this.resolveConflicts(sender ? [sender] : this.getPeers());
+    }
+    return outcome;
+  }
+
+  /**
+   * private method that finds a url among the registered peers
+   * @param {*} url
+   * @returns the normalized url of the peer, null if it's not a registered peer
+   */
+  _registeredPeer(url) {
+    try {
+      const peer = normalizeUrl(url);
+      return this.peers.has(peer) ? peer : null;
+    } catch (e) {
+      // not even a url
+      return null;
+    }
+  }
+
+  /**
+   * fetch the full chain of a peer
+   * @param {*} peer url of the peer
+   * @returns Promise with array of plain objects
+   */
+  fetchChain(peer) {
+    return sendRequest("GET", `${peer}/chain`);
+  }
+
+  /**
+   * replace our chain with the chain of a trusted peer, even if it has less work
+   * than ours (see `Blockchain.restoreChain`). The peer doesn't need to be registered.
+   * @param {*} url url of the trusted peer
+   * @returns Promise with `{ height, archived, archive }`
+   */
+  async restoreFromPeer(url) {
+    const chain = await this.fetchChain(normalizeUrl(url));
+    return this.blockchain.restoreChain(chain);
+  }
+
+  /**
+   * Most work consensus: fetch the chain of the peers and try to replace ours with
+   * the one holding the most work. `replaceChain` only accepts valid chains with our
+   * genesis block and more work than ours, so we can try them from the most work down.
+   * The method will return a Promise that will resolve with true if our chain has been replaced
+   * @param {*} peers urls of the peers to ask (default every peer)
+   */
+  async resolveConflicts(peers = this.getPeers()) {
+    const chains = await Promise.all(
+      peers.map((peer) =>
+        this.fetchChain(peer).catch((e) => {
+          console.error(e.message);
+          return null;
+        })
+      )
+    );
+    const candidates = chains
+      .filter((chain) => Array.isArray(chain))
+      .sort((a, b) => consensus.chainWork(b) - consensus.chainWork(a));
+    for (const chain of candidates) {
+      if (await this.blockchain.replaceChain(chain)) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+module.exports = {
+  Network,
+  PeerRequestError,
+};
@@ -0,0 +1,47 @@
+/**
+ *                          Inclusion proof verifier
+ *  A star owner can prove that its transaction is in the chain without the
+ *  whole chain: the node returns (see `Blockchain.getTransactionProof`)
+ *  the transaction, the header of the block that contains it and the Merkle
+ *  path from the transaction to the Merkle root of the header.
+ *  This module checks such a proof against a block hash the verifier already
+ *  trusts. It doesn't need the Express app nor a Blockchain instance, so it
+ *  can be used by light clients and by third parties.
+ */
+
+const { Block } = require("./block");
+const merkle = require("./merkle");
+
+/**
+ * check an inclusion proof against a trusted block hash
+ * Steps:
+ * 1. The transaction hashes to the `txid` of the proof
+ * 2. The Merkle path leads from the `txid` to the Merkle root of the header
+ * 3. The header hashes to the trusted block hash
+ * @param {*} proof `{ txid, transaction, header, path }`
+ * @param {*} trustedBlockHash hash of the block the verifier trusts
+ * @returns `{ valid, errors }` where errors lists each failed check
+ */
+const verifyInclusionProof = (proof, trustedBlockHash) => {
+  const errors = [];
+  try {
+    const { txid, transaction, header, path } = proof;
+    if (merkle.hashTransaction(transaction) !== txid) {
+      errors.push("Transaction doesn't match its id");
+    }
+    if (!merkle.verifyMerkleProof(txid, path, header.merkleRoot)) {
+      errors.push("Merkle path doesn't lead to the Merkle root of the header");
+    }
+    const headerHash = Block.hashHeader(header);
+    if (headerHash !== header.hash || headerHash !== trustedBlockHash) {
+      errors.push("Header doesn't match the trusted block hash");
+    }
+  } catch (e) {
+    errors.push(`Proof is malformed: ${e.message}`);
+  }
+  return { valid: errors.length === 0, errors };
+};
+
+module.exports = {
+  verifyInclusionProof,
+};
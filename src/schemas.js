@@ -0,0 +1,354 @@
+/**
+ *                          Request schemas
+ *  Every route of the REST Api declares the shape of its path parameters,
+ *  query string and body with a subset of JSON Schema (the one used by
+ *  OpenAPI 3.0): `type`, `enum`, `minLength`, `maxLength`, `pattern`,
+ *  `minimum`, `maximum`, `properties`, `required`, `additionalProperties`,
+ *  `items`, `minItems` and `nullable`. Requests are checked against them
+ *  before reaching the Blockchain, and the OpenAPI document of the Api is
+ *  generated from the same schemas.
+ *  Path parameters and query strings are always strings: plain decimal numbers
+ *  are converted when their schema asks for an `integer` or a `number`. A JSON
+ *  body has its own numbers, its strings are never converted.
+ */
+
+class ValidationError extends Error {
+  /**
+   * @param {*} details list of `{ location, message }`, one for each wrong field
+   */
+  constructor(details) {
+    super(
+      "Request is not valid: " +
+        details
+          .map(({ location, message }) => `${location} ${message}`)
+          .join(", ")
+    );
+    this.name = "ValidationError";
+    this.details = details;
+  }
+}
+
+const HASH = {
+  type: "string",
+  pattern: "^[0-9a-f]{64}$",
+  description: "SHA256 hash, hex encoded",
+};
+const ADDRESS = {
+  type: "string",
+  minLength: 1,
+  maxLength: 100,
+  description: "Bitcoin address",
+};
+const MESSAGE = {
+  type: "string",
+  minLength: 1,
+  maxLength: 500,
+  description: "message issued by the node",
+};
+const SIGNATURE = {
+  type: "string",
+  minLength: 1,
+  maxLength: 200,
+  description: "base64 signature of the message",
+};
+const HEIGHT = { type: "integer", minimum: 0 };
+const PAGE = { type: "integer", minimum: 1, default: 1 };
+const LIMIT = { type: "integer", minimum: 1, maximum: 100, default: 20 };
+const STORY = { type: "string", maxLength: 1000 };
+const STAR = {
+  type: "object",
+  properties: {
+    dec: {
+      type: "string",
+      minLength: 1,
+      maxLength: 64,
+      description: `declination, ex. "68° 52' 56.9"`,
+    },
+    ra: {
+      type: "string",
+      minLength: 1,
+      maxLength: 64,
+      description: `right ascension, ex. "16h 29m 1.0s"`,
+    },
+    story: STORY,
+  },
+  required: ["dec", "ra"],
+  additionalProperties: false,
+};
+
+/**
+ * build the schema of an object
+ * @param {*} properties name => schema
+ * @param {*} required names of the required properties
+ * @param {*} additionalProperties accept properties not listed (default false)
+ * @returns schema
+ */
+const object = (properties, required = [], additionalProperties = false) => {
+  return { type: "object", properties, required, additionalProperties };
+};
+
+/**
+ * check the type of a value, `integer` and `number` exclude NaN and Infinity
+ * @param {*} type
+ * @param {*} value
+ * @returns true if the value has the type
+ */
+const hasType = (type, value) => {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    default:
+      return typeof value === type;
+  }
+};
+
+// numbers written in path parameters and query strings, only plain decimals:
+// `Number()` alone would also read "0x10", "1e1" or " 1 "
+const NUMBER_PATTERNS = {
+  integer: /^-?\d+$/,
+  number: /^-?\d+(\.\d+)?$/,
+};
+
+/**
+ * check a value against a schema
+ * @param {*} schema
+ * @param {*} value
+ * @param {*} location where the value is, used in the details (ex. "body.star.ra")
+ * @param {*} details array where the errors are pushed
+ * @param {*} convert convert the strings written as numbers (path parameters and query strings)
+ * @returns the value, with the numbers converted from strings
+ */
+const check = (schema, value, location, details, convert = false) => {
+  const fail = (message) => details.push({ location, message });
+  if (value === null && schema.nullable) {
+    return value;
+  }
+  let result = value;
+  if (
+    convert &&
+    typeof value === "string" &&
+    NUMBER_PATTERNS[schema.type] &&
+    NUMBER_PATTERNS[schema.type].test(value)
+  ) {
+    result = Number(value);
+  }
+  if (schema.type && !hasType(schema.type, result)) {
+    fail(`must be ${schema.type === "integer" ? "an" : "a"} ${schema.type}`);
+    return value;
+  }
+  if (schema.enum && !schema.enum.includes(result)) {
+    fail(`must be one of ${schema.enum.join(", ")}`);
+  }
+  if (typeof result === "string") {
+    if (schema.minLength !== undefined && result.length < schema.minLength) {
+      fail(
+        schema.minLength === 1
+          ? "must not be empty"
+          : `must be at least ${schema.minLength} characters long`
+      );
+    }
+    if (schema.maxLength !== undefined && result.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(result)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+  if (typeof result === "number") {
+    if (schema.minimum !== undefined && result < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && result > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+  if (Array.isArray(result)) {
+    if (schema.minItems !== undefined && result.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      result = result.map((item, i) =>
+        check(schema.items, item, `${location}[${i}]`, details, convert)
+      );
+    }
+  } else if (schema.type === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((name) => {
+      if (result[name] === undefined) {
+        details.push({
+          location: `${location}.${name}`,
+          message: "is required",
+        });
+      }
+    });
+    result = { ...result };
+    Object.keys(result).forEach((name) => {
+      if (properties[name]) {
+        result[name] = check(
+          properties[name],
+          result[name],
+          `${location}.${name}`,
+          details,
+          convert
+        );
+      } else if (schema.additionalProperties === false) {
+        details.push({
+          location: `${location}.${name}`,
+          message: "is not allowed",
+        });
+      }
+    });
+  }
+  return result;
+};
+
+/**
+ * check the path parameters, the query string and the body of a request against the
+ * schemas of its route. The values are replaced with the checked ones (numbers of the path
+ * parameters and the query string converted).
+ * Throws ValidationError listing every wrong field.
+ * @param {*} spec route specification `{ params, query, body }`, each one a schema
+ * @param {*} req express request
+ */
+const validateRequest = (spec, req) => {
+  const details = [];
+  ["params", "query", "body"].forEach((location) => {
+    if (spec[location]) {
+      req[location] = check(
+        spec[location],
+        req[location],
+        location,
+        details,
+        location !== "body"
+      );
+    }
+  });
+  if (details.length) {
+    throw new ValidationError(details);
+  }
+};
+
+/**
+ * build the OpenAPI 3.0 document of the Api from the specification of its routes
+ * @param {*} routes array of `{ method, path, spec }`, the path written the express way (`/star/:hash`)
+ * @param {*} info `{ title, version, description }`
+ * @returns OpenAPI document
+ */
+const openApiDocument = (routes, info) => {
+  const paths = {};
+  routes.forEach(({ method, path, spec }) => {
+    const openApiPath = path.replace(/:(\w+)/g, "{$1}");
+    const parameters = [];
+    ["params", "query"].forEach((location) => {
+      const schema = spec[location];
+      if (!schema) {
+        return;
+      }
+      Object.keys(schema.properties).forEach((name) => {
+        const { description, ...parameterSchema } = schema.properties[name];
+        parameters.push({
+          name,
+          in: location === "params" ? "path" : "query",
+          required: location === "params" || schema.required.includes(name),
+          description,
+          schema: parameterSchema,
+        });
+      });
+    });
+    const operation = {
+      summary: spec.summary,
+      tags: spec.tags,
+      parameters: parameters.length ? parameters : undefined,
+      responses: {},
+    };
+    if (spec.body) {
+      const content = {};
+      (spec.contentTypes || ["application/json"]).forEach((contentType) => {
+        content[contentType] = { schema: spec.body };
+      });
+      operation.requestBody = { required: true, content };
+    }
+    if (spec.admin) {
+      operation.security = [{ adminToken: [] }];
+    }
+    Object.keys(spec.responses || {}).forEach((status) => {
+      operation.responses[status] = { description: spec.responses[status] };
+    });
+    const errors = new Set(spec.errors || []);
+    if (spec.params || spec.query || spec.body) {
+      errors.add(400);
+    }
+    if (spec.admin) {
+      [401, 403].forEach((status) => errors.add(status));
+    }
+    errors.add(500);
+    Array.from(errors)
+      .sort()
+      .forEach((status) => {
+        operation.responses[status] = { $ref: "#/components/responses/Error" };
+      });
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method] = JSON.parse(JSON.stringify(operation));
+  });
+  return {
+    openapi: "3.0.3",
+    info,
+    paths,
+    components: {
+      schemas: {
+        Star: STAR,
+        Error: object(
+          {
+            error: object(
+              {
+                code: { type: "string", description: "machine-readable code" },
+                name: { type: "string" },
+                message: { type: "string" },
+                details: { type: "array", items: { type: "object" } },
+              },
+              ["code", "name", "message"]
+            ),
+          },
+          ["error"]
+        ),
+      },
+      responses: {
+        Error: {
+          description: "Error",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/Error" },
+            },
+          },
+        },
+      },
+      securitySchemes: {
+        adminToken: { type: "http", scheme: "bearer" },
+      },
+    },
+  };
+};
+
+module.exports = {
+  ValidationError,
+  HASH,
+  ADDRESS,
+  MESSAGE,
+  SIGNATURE,
+  HEIGHT,
+  PAGE,
+  LIMIT,
+  STORY,
+  STAR,
+  object,
+  validateRequest,
+  openApiDocument,
+};
@@ -0,0 +1,211 @@
+/**
+ *                          Storage backends
+ *  The Blockchain class doesn't know where its blocks live: it delegates
+ *  persistence to a storage object exposing `load()` and `append(block)`.
+ *  When the chain is replaced by one with more work received from a peer `replace(blocks)`
+ *  rewrites the whole content. Blocks discarded by a rollback are kept aside
+ *  with `archive(blocks)` instead of being deleted.
+ *  All methods return a Promise so that in-memory and disk backends can be
+ *  swapped without touching the chain logic.
+ *  - `MemoryStorage` keeps blocks in an array and is lost on restart (useful for tests)
+ *  - `FileStorage` keeps an append-only file with one JSON encoded block per line
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+class StorageError extends Error {
+  constructor(msg) {
+    super("An error occured in chain storage: " + msg);
+    this.name = "StorageError";
+  }
+}
+
+class MemoryStorage {
+  constructor() {
+    this.blocks = [];
+    this.archives = [];
+  }
+
+  /**
+   * resolve with a copy of the stored blocks as plain objects
+   * @returns Promise with array of plain objects
+   */
+  load() {
+    return new Promise((resolve) => {
+      resolve(this.blocks.map((b) => JSON.parse(b)));
+    });
+  }
+
+  /**
+   * store a serialized copy of the block, so later changes to the
+   * instance in memory don't leak into the storage
+   * @param {*} block
+   */
+  append(block) {
+    return new Promise((resolve) => {
+      this.blocks.push(JSON.stringify(block));
+      resolve(block);
+    });
+  }
+
+  /**
+   * replace all the stored blocks with the ones passed as parameter
+   * @param {*} blocks
+   */
+  replace(blocks) {
+    return new Promise((resolve) => {
+      this.blocks = blocks.map((b) => JSON.stringify(b));
+      resolve(blocks);
+    });
+  }
+
+  /**
+   * keep a serialized copy of blocks removed from the chain
+   * @param {*} blocks
+   * @returns Promise with the name of the archive
+   */
+  archive(blocks) {
+    return new Promise((resolve) => {
+      this.archives.push(blocks.map((b) => JSON.stringify(b)));
+      resolve(`memory:${this.archives.length - 1}`);
+    });
+  }
+}
+
+class FileStorage {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * read the file line by line and parse every line as a block. A missing
+   * file means that the chain was never persisted, so we resolve with an empty array
+   * @returns Promise with array of plain objects
+   */
+  load() {
+    let self = this;
+    return new Promise((resolve, reject) => {
+      fs.readFile(self.filePath, "utf8", (err, content) => {
+        if (err) {
+          return err.code === "ENOENT"
+            ? resolve([])
+            : reject(new StorageError(err.message));
+        }
+        try {
+          const blocks = content
+            .split("\n")
+            .filter((line) => line.trim() !== "")
+            .map((line) => JSON.parse(line));
+          resolve(blocks);
+        } catch (e) {
+          reject(
+            new StorageError(`${self.filePath} is corrupted: ${e.message}`)
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * append the block as a single JSON line at the end of the file. Directory
+   * is created on first write
+   * @param {*} block
+   */
+  append(block) {
+    let self = this;
+    return new Promise((resolve, reject) => {
+      fs.mkdir(path.dirname(self.filePath), { recursive: true }, (mkdirErr) => {
+        if (mkdirErr) {
+          return reject(new StorageError(mkdirErr.message));
+        }
+        fs.appendFile(self.filePath, JSON.stringify(block) + "\n", (err) => {
+          if (err) {
+            return reject(new StorageError(err.message));
+          }
+          resolve(block);
+        });
+      });
+    });
+  }
+
+  /**
+   * rewrite the file with the blocks passed as parameter. Content is written
+   * in a temporary file and then renamed, so a crash never leaves half a chain on disk
+   * @param {*} blocks
+   */
+  replace(blocks) {
+    let self = this;
+    const tmpPath = `${self.filePath}.tmp`;
+    const content = blocks.map((b) => JSON.stringify(b) + "\n").join("");
+    return new Promise((resolve, reject) => {
+      fs.mkdir(path.dirname(self.filePath), { recursive: true }, (mkdirErr) => {
+        if (mkdirErr) {
+          return reject(new StorageError(mkdirErr.message));
+        }
+        fs.writeFile(tmpPath, content, (writeErr) => {
+          if (writeErr) {
+            return reject(new StorageError(writeErr.message));
+          }
+          fs.rename(tmpPath, self.filePath, (err) => {
+            if (err) {
+              return reject(new StorageError(err.message));
+            }
+            resolve(blocks);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * write blocks removed from the chain in a new file next to the chain file,
+   * `<chain file>.archive-<milliseconds>.ndjson`, with the same format
+   * @param {*} blocks
+   * @returns Promise with the path of the archive
+   */
+  archive(blocks) {
+    let self = this;
+    const archivePath = `${self.filePath}.archive-${Date.now()}.ndjson`;
+    const content = blocks.map((b) => JSON.stringify(b) + "\n").join("");
+    return new Promise((resolve, reject) => {
+      fs.mkdir(path.dirname(self.filePath), { recursive: true }, (mkdirErr) => {
+        if (mkdirErr) {
+          return reject(new StorageError(mkdirErr.message));
+        }
+        // `wx` never overwrites a previous archive
+        fs.writeFile(archivePath, content, { flag: "wx" }, (err) => {
+          if (err) {
+            return reject(new StorageError(err.message));
+          }
+          resolve(archivePath);
+        });
+      });
+    });
+  }
+}
+
+/**
+ * build the storage backend from its name, so that it can be chosen
+ * from configuration (ex. environment variables)
+ * @param {*} type "memory" or "file"
+ * @param {*} options for "file" storage `{ filePath }`
+ * @returns storage instance
+ */
+const createStorage = (type = "memory", options = {}) => {
+  switch (type) {
+    case "memory":
+      return new MemoryStorage();
+    case "file":
+      return new FileStorage(options.filePath || "data/chain.ndjson");
+    default:
+      throw new StorageError(`Unknown storage type "${type}"`);
+  }
+};
+
+module.exports = {
+  StorageError,
+  MemoryStorage,
+  FileStorage,
+  createStorage,
+};
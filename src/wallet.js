@@ -0,0 +1,293 @@
+/**
+ *                          Wallet client
+ *  Registering a star takes three steps against a node: request the message
+ *  to sign (`POST /requestValidation`), sign it with the private key of the
+ *  address and send it with the star (`POST /submitstar`). A `Wallet` holds
+ *  a key pair generated or imported with `bitcoinjs-lib` and signs messages
+ *  with `bitcoinjs-message`, like Electrum does; a `WalletClient` runs the
+ *  steps against the REST Api of a node. See `scripts/wallet.js` for the CLI.
+ *  Wallets can use legacy (`p2pkh`), P2SH-wrapped SegWit (`p2sh`) or bech32
+ *  (`p2wpkh`) addresses of any network (see `addresses.js`); SegWit messages
+ *  are signed with BIP137 header flags.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { URL } = require("url");
+const bitcoin = require("bitcoinjs-lib");
+const bitcoinMessage = require("bitcoinjs-message");
+const { getNetwork } = require("./addresses");
+
+const REQUEST_TIMEOUT = 60000;
+
+// bitcoinjs-lib payment of each address type, with the BIP137 flag used to sign
+const ADDRESS_TYPES = {
+  p2pkh: {
+    payment: (pubkey, network) => bitcoin.payments.p2pkh({ pubkey, network }),
+    segwitType: undefined,
+  },
+  p2sh: {
+    payment: (pubkey, network) =>
+      bitcoin.payments.p2sh({
+        redeem: bitcoin.payments.p2wpkh({ pubkey, network }),
+        network,
+      }),
+    segwitType: "p2sh(p2wpkh)",
+  },
+  p2wpkh: {
+    payment: (pubkey, network) => bitcoin.payments.p2wpkh({ pubkey, network }),
+    segwitType: "p2wpkh",
+  },
+};
+
+class WalletError extends Error {
+  constructor(msg) {
+    super("An error occured in the wallet: " + msg);
+    this.name = "WalletError";
+  }
+}
+
+class Wallet {
+  /**
+   * @param {*} keyPair bitcoinjs-lib ECPair with its private key
+   * @param {*} type address type: "p2pkh" (default), "p2sh" or "p2wpkh"
+   * @param {*} network "mainnet" (default), "testnet" or "regtest"
+   */
+  constructor(keyPair, type = "p2pkh", network = "mainnet") {
+    if (!ADDRESS_TYPES[type]) {
+      throw new WalletError(
+        `unknown address type "${type}", use ${Object.keys(ADDRESS_TYPES).join(
+          ", "
+        )}`
+      );
+    }
+    this.keyPair = keyPair;
+    this.type = type;
+    this.network = network;
+    this.address = ADDRESS_TYPES[type].payment(
+      keyPair.publicKey,
+      getNetwork(network)
+    ).address;
+  }
+
+  /**
+   * create a wallet with a new random key pair
+   * @param {*} type address type
+   * @param {*} network
+   */
+  static generate(type, network = "mainnet") {
+    const keyPair = bitcoin.ECPair.makeRandom({ network: getNetwork(network) });
+    return new Wallet(keyPair, type, network);
+  }
+
+  /**
+   * create a wallet from a private key in Wallet Import Format (ex. exported from Electrum)
+   * @param {*} wif
+   * @param {*} type address type
+   * @param {*} network network the key belongs to
+   */
+  static fromWIF(wif, type, network = "mainnet") {
+    let keyPair;
+    try {
+      keyPair = bitcoin.ECPair.fromWIF(wif, getNetwork(network));
+    } catch (e) {
+      throw new WalletError(`private key is not valid: ${e.message}`);
+    }
+    return new Wallet(keyPair, type, network);
+  }
+
+  /**
+   * read a wallet saved with `save`
+   * @param {*} filePath
+   * @returns Promise with the wallet
+   */
+  static load(filePath) {
+    return new Promise((resolve, reject) => {
+      fs.readFile(filePath, "utf8", (err, content) => {
+        if (err) {
+          return reject(
+            new WalletError(
+              err.code === "ENOENT"
+                ? `${filePath} doesn't exist, create a wallet first`
+                : err.message
+            )
+          );
+        }
+        try {
+          const { wif, type, network } = JSON.parse(content);
+          resolve(Wallet.fromWIF(wif, type, network));
+        } catch (e) {
+          reject(
+            e instanceof WalletError
+              ? e
+              : new WalletError(`${filePath} is corrupted`)
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * write the address and the private key in a file readable only by its owner
+   * @param {*} filePath
+   * @param {*} overwrite replace an existing wallet (default false)
+   * @returns Promise resolved when the file is written
+   */
+  save(filePath, overwrite = false) {
+    const content = JSON.stringify(
+      {
+        address: this.address,
+        type: this.type,
+        network: this.network,
+        wif: this.keyPair.toWIF(),
+      },
+      null,
+      2
+    );
+    return new Promise((resolve, reject) => {
+      fs.mkdir(path.dirname(filePath), { recursive: true }, (mkdirErr) => {
+        if (mkdirErr) {
+          return reject(new WalletError(mkdirErr.message));
+        }
+        const flag = overwrite ? "w" : "wx";
+        fs.writeFile(filePath, content, { mode: 0o600, flag }, (err) => {
+          if (err) {
+            return reject(
+              new WalletError(
+                err.code === "EEXIST"
+                  ? `${filePath} already exists`
+                  : err.message
+              )
+            );
+          }
+          resolve(filePath);
+        });
+      });
+    });
+  }
+
+  /**
+   * sign a message with the private key, the signature can be checked with
+   * `bitcoinMessage.verify(message, address, signature)`
+   * @param {*} message
+   * @returns base64 signature
+   */
+  sign(message) {
+    const { segwitType } = ADDRESS_TYPES[this.type];
+    return bitcoinMessage
+      .sign(
+        message,
+        this.keyPair.privateKey,
+        this.keyPair.compressed,
+        segwitType ? { segwitType } : undefined
+      )
+      .toString("base64");
+  }
+}
+
+/**
+ * send a JSON request to a node
+ * @param {*} method http method
+ * @param {*} url full url of the resource
+ * @param {*} body optional object sent as JSON
+ * @returns Promise with the parsed body, rejects with WalletError if the node answers with an error
+ */
+const sendRequest = (method, url, body) => {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const request = http.request(
+      new URL(url),
+      {
+        method,
+        timeout: REQUEST_TIMEOUT,
+        headers: payload
+          ? {
+              "Content-Type": "application/json",
+              "Content-Length": Buffer.byteLength(payload),
+            }
+          : {},
+      },
+      (response) => {
+        let data = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => (data += chunk));
+        response.on("end", () => {
+          let parsed = data;
+          try {
+            parsed = JSON.parse(data);
+          } catch (e) {
+            // plain text answer
+          }
+          if (response.statusCode >= 400) {
+            const message =
+              parsed && parsed.error ? parsed.error.message : data;
+            return reject(new WalletError(`${response.statusCode} ${message}`));
+          }
+          resolve(parsed);
+        });
+      }
+    );
+    request.on("timeout", () =>
+      request.destroy(new Error(`${method} ${url} timed out`))
+    );
+    request.on("error", (e) => reject(new WalletError(e.message)));
+    if (payload) {
+      request.write(payload);
+    }
+    request.end();
+  });
+};
+
+class WalletClient {
+  /**
+   * @param {*} wallet
+   * @param {*} nodeUrl url of the node, ex. http://localhost:8000
+   */
+  constructor(wallet, nodeUrl) {
+    this.wallet = wallet;
+    this.nodeUrl = nodeUrl.replace(/\/+$/, "");
+  }
+
+  /**
+   * ask the node the message to sign to register a star
+   * @returns Promise with the message
+   */
+  requestChallenge() {
+    return sendRequest("POST", `${this.nodeUrl}/requestValidation`, {
+      address: this.wallet.address,
+    });
+  }
+
+  /**
+   * register a star: request the challenge, sign it and submit the star
+   * @param {*} star `{ dec, ra, story }`
+   * @returns Promise with the block that contains the star
+   */
+  async submitStar(star) {
+    const message = await this.requestChallenge();
+    return sendRequest("POST", `${this.nodeUrl}/submitstar`, {
+      address: this.wallet.address,
+      message,
+      signature: this.wallet.sign(message),
+      star,
+    });
+  }
+
+  /**
+   * stars currently owned by the wallet
+   * @returns Promise with array of `{ owner, star, starHash, blockHash }`
+   */
+  getStars() {
+    return sendRequest(
+      "GET",
+      `${this.nodeUrl}/blocks/${encodeURIComponent(this.wallet.address)}`
+    );
+  }
+}
+
+module.exports = {
+  WalletError,
+  Wallet,
+  WalletClient,
+};